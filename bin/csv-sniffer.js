@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/*
+ * Command line interface of the CSV sniffer. Sniffs a sample from the head of a file (or of stdin)
+ * and prints a summary, or the full result as JSON. Exits with code 1 if the sniffer has warnings
+ * or found malformed rows, and with code 2 if the file could not be read or sniffed, so it can be
+ * used as a gate in scripts.
+ */
+
+var fs = require("fs");
+var CSVSniffer = require("../index.js")();
+
+var usage = [
+	"Usage: csv-sniffer [options] [file]",
+	"",
+	"Sniffs the head of a CSV file, or of stdin if no file (or -) is given.",
+	"",
+	"Options:",
+	"  --delimiter <str>   Use this column delimiter instead of detecting it",
+	"  --quote <char>      Use this quote character (an empty string means none)",
+	"  --header            The first line contains the labels",
+	"  --no-header         The first line does not contain the labels",
+	"  --delims <chars>    Only consider these characters as delimiters, e.g. ',;|'",
+	"                      (can be repeated, to add multi-character delimiters)",
+	"  --max-bytes <n>     Read at most this many bytes (default 1048576)",
+	"  --json              Print the full result as JSON",
+	"  --explain           Also print how every property was detected; the trace contains no",
+	"                      values of the file, so it can be shared when a guess is wrong",
+	"  -h, --help          Print this help",
+	"",
+	"In values, \\t stands for a tab. Exits with code 1 if there are warnings or",
+	"malformed rows, and with code 2 if the file could not be read or sniffed."
+].join("\n");
+
+function unescape(str) {
+	return str.replace(/\\(t|\\)/g, function(match, c) {
+		return c == "t" ? "\t" : "\\";
+	});
+}
+
+function parseArgs(argv) {
+	// Returns the parsed arguments, or throws an error with a message for the user
+	var args = { file: null, options: {}, delims: null, json: false, help: false };
+	function value(i) {
+		if(i >= argv.length) {
+			throw new Error("Missing value for " + argv[i - 1]);
+		}
+		return unescape(argv[i]);
+	}
+	for(var i = 0; i < argv.length; ++i) {
+		var arg = argv[i];
+		if(arg == "--delimiter") {
+			args.options.delimiter = value(++i);
+		} else if(arg == "--quote") {
+			args.options.quoteChar = value(++i) || null;
+		} else if(arg == "--header") {
+			args.options.hasHeader = true;
+		} else if(arg == "--no-header") {
+			args.options.hasHeader = false;
+		} else if(arg == "--delims") {
+			// a single value lists single characters, repeated values can add longer delimiters
+			var delims = value(++i);
+			args.delims = args.delims ? args.delims.concat([delims]) : Array.from(delims);
+		} else if(arg == "--max-bytes") {
+			args.options.maxBytes = parseInt(value(++i), 10);
+			if(!(args.options.maxBytes > 0)) {
+				throw new Error("Invalid value for --max-bytes: " + argv[i]);
+			}
+		} else if(arg == "--json") {
+			args.json = true;
+		} else if(arg == "--explain") {
+			args.options.explain = true;
+		} else if(arg == "-h" || arg == "--help") {
+			args.help = true;
+		} else if(arg.charAt(0) == "-" && arg != "-") {
+			throw new Error("Unknown option: " + arg);
+		} else if(args.file === null) {
+			args.file = arg;
+		} else {
+			throw new Error("Only one file can be sniffed at a time");
+		}
+	}
+	return args;
+}
+
+function show(str) {
+	// Makes invisible characters visible in the summary
+	if(str === null || str === undefined) {
+		return "(none)";
+	}
+	return JSON.stringify(String(str)).slice(1, -1).replace(/^ | $/g, "\\s");
+}
+
+function formatSummary(result, file) {
+	var lines = [];
+	function line(name, value) {
+		lines.push((name + ":" + new Array(17).join(" ")).substring(0, 16) + value);
+	}
+	function confidence(key) {
+		return result.confidence && result.confidence[key] !== undefined ? " (confidence " + result.confidence[key].toFixed(2) + ")" : "";
+	}
+	line("File", file);
+	line("Encoding", result.encoding ? result.encoding + (result.hasBOM ? " (with BOM)" : "") : "(text)");
+	line("Newline", show(result.newlineStr) + confidence("newlineStr"));
+	if(result.format == "fixed") {
+		line("Format", "fixed width");
+	} else if(result.format == "text") {
+		line("Format", "single column text");
+	} else {
+		line("Format", result.format.toUpperCase());
+		line("Delimiter", show(result.delimiter) + confidence("delimiter"));
+		line("Quote char", show(result.quoteChar) + confidence("quoteChar"));
+	}
+	line("Header", (result.hasHeader ? "yes" : "no") + confidence("hasHeader"));
+	line("Rows sniffed", result.records.length + (result.endOfStream ? " (whole file)" : ""));
+	lines.push("Columns:");
+	var names = result.types.map(function(type, i) {
+		return result.labels && result.labels[i] ? result.labels[i] : "column_" + (i + 1);
+	});
+	var width = Math.max.apply(null, names.map(function(name) { return name.length; }).concat([0]));
+	result.types.forEach(function(type, i) {
+		var format = result.formats && result.formats[i] ? " (" + result.formats[i] + ")" : "";
+		lines.push("  " + names[i] + new Array(width - names[i].length + 3).join(" ") + type + format);
+	});
+	if(result.issues.length > 0) {
+		lines.push("Issues:");
+		result.issues.forEach(function(issue) {
+			lines.push("  - line " + issue.line + " (byte " + issue.offset + "): " + issue.kind +
+				(issue.expected !== null || issue.actual !== null ? ", expected " + show(issue.expected) + " but found " + show(issue.actual) : ""));
+		});
+	}
+	if(result.warnings.length > 0) {
+		lines.push("Warnings:");
+		result.warnings.forEach(function(warning) {
+			lines.push("  - " + warning);
+		});
+	}
+	if(result.trace) {
+		lines.push("Trace:");
+		lines.push(JSON.stringify(result.trace, null, 2).replace(/^/gm, "  "));
+	}
+	return lines.join("\n");
+}
+
+function main() {
+	try {
+		var args = parseArgs(process.argv.slice(2));
+	} catch(err) {
+		console.error(err.message + "\n\n" + usage);
+		process.exitCode = 2;
+		return;
+	}
+	if(args.help) {
+		console.log(usage);
+		return;
+	}
+
+	var fromStdin = args.file === null || args.file == "-";
+	var input = fromStdin ? process.stdin : fs.createReadStream(args.file);
+	var sniffer = new CSVSniffer(args.delims || undefined);
+	sniffer.sniffStream(input, args.options).then(function(result) {
+		// we only need the head of the input
+		input.destroy();
+		delete result.stream;
+		delete result.consumed;
+		if(args.json) {
+			console.log(JSON.stringify(result, null, 2));
+		} else {
+			console.log(formatSummary(result, fromStdin ? "(stdin)" : args.file));
+		}
+		process.exitCode = result.warnings.length > 0 || result.issues.length > 0 ? 1 : 0;
+	}, function(err) {
+		input.destroy();
+		console.error("csv-sniffer: " + err.message);
+		process.exitCode = 2;
+	});
+}
+
+main();
@@ -9,18 +9,86 @@
  * sniff will be called twice. Furthermore, we did not implement functionality that we did not need, 
  * and we implemented some things that we did need but were not yet in the Python CSV sniffer.
  * Major differences:
- *    Our sniffer does not calculate doublequote and skipinitialwhitespace
  *    Our sniffer also retrieves the newline character as one of [\r\n, \n\r, \n, \r] in a clever way
  *    Our sniffer improves the performance of the delimiter guesser by not traversing every line of the
- *    input for every ASCII character, but rather traversing every line once and incrementing a corresponding
- *    counter for every encountered character.
+ *    input for every character, but rather traversing every line once and incrementing a corresponding
+ *    counter for every encountered character. Any Unicode character, as well as strings of multiple
+ *    characters, can be a delimiter.
  *	  We implement a smarter voting mechanism in the hasHeader check. We also accept give header +1 when
  *    the length of the header column is within some tolerance depending on standard deviation of all 
  *    lengths inside this column.
  *	  Our sniffer passes back labels and records
  */
 
-function getNewlineStr(sample) {
+var fs = require("fs");
+var stream = require("stream");
+var StringDecoder = require("string_decoder").StringDecoder;
+
+function rankCandidates(candidates) {
+	// Sorts a list of { value, score } candidates on descending score. Candidates with an equal score
+	// keep their original order, so the preferences that were encoded in that order are respected.
+	return candidates.map(function(d, i) {
+		return { candidate: d, index: i };
+	}).sort(function(a, b) {
+		return (b.candidate.score - a.candidate.score) || (a.index - b.index);
+	}).map(function(d) {
+		return d.candidate;
+	});
+}
+
+function getConfidence(candidates) {
+	// Calculates how sure we are about the first candidate in a ranked list of candidates. This
+	// combines the score of the winner with the distance to the runner-up: a winner with a perfect
+	// score and no competition yields 1, two candidates with an equal score yield at most 0.5.
+	if(!candidates || candidates.length == 0) {
+		return 0;
+	}
+	var best = candidates[0].score;
+	var next = candidates.length > 1 ? candidates[1].score : 0;
+	if(best <= 0) {
+		return 0;
+	}
+	return best * best / (best + next);
+}
+
+function splitRecords(sample, newlineStr, quoteChar) {
+	// Splits a sample into records at the newlines that are not inside quoted fields. A quote char
+	// only starts a quoted field if it does not follow a letter or digit (as in 12" or don't), and a
+	// doubled quote char inside it stands for a single one. A quote char that is never closed is
+	// ignored. The text after the last newline is left out, since it can be incomplete.
+	var records = [];
+	var start = 0;
+	var pos = 0;
+	var newlinePos;
+	while((newlinePos = sample.indexOf(newlineStr, pos)) > -1) {
+		var quotePos = quoteChar ? sample.indexOf(quoteChar, pos) : -1;
+		if(quotePos > -1 && quotePos < newlinePos) {
+			pos = quotePos + 1;
+			if(quotePos > 0 && /[\w\u00c0-\u024f]/.test(sample.charAt(quotePos - 1))) continue;
+			var closePos = sample.indexOf(quoteChar, pos);
+			while(closePos > -1 && sample.charAt(closePos + 1) == quoteChar) {
+				closePos = sample.indexOf(quoteChar, closePos + 2);
+			}
+			if(closePos > -1) {
+				pos = closePos + 1;
+			}
+			continue;
+		}
+		records.push(sample.substring(start, newlinePos));
+		start = pos = newlinePos + newlineStr.length;
+	}
+	return records;
+}
+
+function countLines(sample, newlineStr, quoteChar) {
+	// Counts the records in a sample, including the text after the last newline if there is any
+	var records = splitRecords(sample, newlineStr, quoteChar);
+	var length = 0;
+	records.forEach(function(d) { length += d.length + newlineStr.length; });
+	return records.length + (length < sample.length ? 1 : 0);
+}
+
+function getNewlineStr(sample, quoteChar) {
 	// Figures out what the most probable row delimiter is. 
 	// It does this by registering the line lengths that would arise if a row delimiter
 	// would be used. If there is exactly one candidate, this candidate wins.
@@ -33,6 +101,8 @@ function getNewlineStr(sample) {
 	// with > n lines. We then calculate for every candidate the average and the standard
 	// deviation of the line lengths found. The winning candidate is the one with the 
 	// smallest normalized standard deviation.
+	// If the quote char is known, newlines inside quoted fields are not counted.
+	// Returns the list of remaining candidates, ranked from most to least probable.
 	var candidates = ["\r\n", "\n\r", "\n", "\r"];
 	var nrLines = {};
 
@@ -40,18 +110,9 @@ function getNewlineStr(sample) {
 	var threshold = 5; // at least this many lines
 
 	candidates.forEach(function(newlineStr) {
-		nrLines[newlineStr] = 1;
-		var l = [];
-		var curPos = 0;
-		while((newlinePos = sample.indexOf(newlineStr, curPos)) > -1) {
-			// update nr of lines
-			++nrLines[newlineStr];
-
-			var lineLength = newlinePos - curPos;
-			l.push(lineLength);
-			curPos = newlinePos + newlineStr.length;
-		}
-		lineLengths[newlineStr] = l;
+		var records = splitRecords(sample, newlineStr, quoteChar);
+		nrLines[newlineStr] = records.length + 1;
+		lineLengths[newlineStr] = records.map(function(d) { return d.length; });
 	});
 
 	// eliminate substrings of \r\n and \n\r whenever they have an equal amount of lines
@@ -74,44 +135,20 @@ function getNewlineStr(sample) {
 		}
 	});
 
-	if(remainingCandidates.length == 0) {
-		return null;
-	}
 	if(remainingCandidates.length == 1) {
-		return remainingCandidates[0];
+		return [{ value: remainingCandidates[0], score: 1 }];
 	}
 
-	// > 1 remainers, make list of valid onces, which must have a nr lines > threshold
-	var finalRemainers = [];
-	var maxNrLines = 0;
-	remainingCandidates.forEach(function(newlineStr) {
+	// > 1 remainers. Instead of eliminating them round by round, we give every remainer a score
+	// that orders them the same way: candidates with a nr lines > threshold always score above 0.5,
+	// where the one with the smallest normalized deviation of line lengths scores highest. The others
+	// score below 0.5, where the one with the max nr of lines scores highest.
+	return rankCandidates(remainingCandidates.map(function(newlineStr) {
 		var curNrLines = nrLines[newlineStr];
-		maxNrLines = Math.max(maxNrLines, curNrLines);
-		if(curNrLines > threshold) {
-			finalRemainers.push(newlineStr);
+		if(curNrLines <= threshold) {
+			return { value: newlineStr, score: 0.5 * curNrLines / (threshold + 1) };
 		}
-	});
-
-	if(finalRemainers.length == 0) {
-		var winner = null;
-		// no newlinestrs with more than 'threshold' lines... return the one with the max nr of lines
-		remainingCandidates.some(function(newlineStr) {
-			if(nrLines[newlineStr] == maxNrLines) {
-				winner = newlineStr;
-				return true;
-			}
-			return false;
-		});
-		return winner;
-	}
-	if(finalRemainers.length == 1) {
-		return finalRemainers[0];
-	}
 
-	// Time for the final round with the > 1 remainers...
-	var winner = null;
-	var winnerScore = Infinity;
-	finalRemainers.forEach(function(newlineStr) {
 		var l = lineLengths[newlineStr];
 		var sum = 0;
 		l.forEach(function(d) { sum += d; });
@@ -119,14 +156,10 @@ function getNewlineStr(sample) {
 
 		var absSum = 0;
 		l.forEach(function(d) { absSum += Math.abs(d - avg); });
-		var score = absSum / l.length / avg; // this calculates absolute differences, normalized to # lines and length of lines
+		var deviation = avg > 0 ? absSum / l.length / avg : 0; // this calculates absolute differences, normalized to # lines and length of lines
 
-		if(score < winnerScore) {
-			winnerScore = score;
-			winner = newlineStr;
-		}
-	});
-	return winner;
+		return { value: newlineStr, score: 0.5 + 0.5 / (1 + deviation) };
+	}));
 }
 
 
@@ -146,72 +179,94 @@ function guessQuoteAndDelimiter(sample, newlineStr, delimiters) {
 
     var nl = newlineStr.replace("\n", "\\n").replace("\r", "\\r");
 
-    // Add regexp for quotes + delimiter on both sides
-    var delimiter = "([^"+nl+"\"'])";
-    var content = "[^"+nl+"]*?";
-    exprs.push({
-    	expr: new RegExp(
-		    	delimiter			+ // Delimiter
-		    	"\\s*?"				+ // Possible whitespace between delimiter and quote char
-		    	"([\"'])"			+ // Quote character
-		    	content				+ // Non-greedy parsing of string between quotes
-		    	"\\2"				+ // Matching quote character
-		    	"\\s*?"				+ // Possible whitespace between quote char and delimiter
-		    	"\\1"				  // Matching delimiter
-	    	, "g"),
-    	delimRef: 1,
-    	quoteRef: 2
-	});
-
-	// Add regexp for quotes + delimiter on the right side
-	exprs.push({
-		expr: new RegExp(
-		    	"^"					+ // Start of line (note that javascript treats the start of every line as ^)
-		    	"\\s*?"				+ // Possible whitespace at start of line
-		    	"([\"'])"			+ // Quote character
-		    	content				+ // Non-greedy parsing of string between quotes
-		    	"\\1"				+ // Matching quote character
-		    	"\\s*?"				+ // Possible whitespace between quote char and delimiter
-		    	delimiter			  // Delimiter
-	    	, "g"),
-		delimRef: 2,
-		quoteRef: 1
-	});
-
-	// Add regexp for quotes + delimiter on the left side
-	exprs.push({
-		expr: new RegExp(
-		    	delimiter			+ // Delimiter
-		    	"\\s*?"				+ // Possible whitespace between delimiter and quote char
-		    	"([\"'])"			+ // Quote character
-		    	content				+ // Non-greedy parsing of string between quotes
-		    	"\\2"				+ // Matching quote character
-		    	"\\s*?"				+ // Possible whitespace between quote char and end of line
-		    	"$"					  // End of line (note that javascript treats the end of every line as $)
-	    	, "g"),
-		delimRef: 1,
-		quoteRef: 2
-	});
-
-	// Add regexp for just quotes
-	exprs.push({
-		expr: new RegExp(
-		    	"^"					+ // Start of line (note that javascript treats the start of every line as ^)
-		    	"\\s*?"				+ // Possible whitespace at start of line
-		    	"([\"'])"			+ // Quote character
-		    	content				+ // Non-greedy parsing of string between quotes
-		    	"\\1"				+ // Matching quote character
-		    	"\\s*?"				+ // Possible whitespace between quote char and end of line
-		    	"$"					  // End of line (note that javascript treats the end of every line as $)
-	    	, "g"),
-		quoteRef: 1
-	});
+    // Add regexp for quotes + delimiter on both sides. A space is never taken as the delimiter here,
+    // since it is more likely whitespace between the delimiter and the quote char (see skipInitialSpace).
+    // Symbols are matched greedily, so delimiters of multiple characters (e.g. ||) are found as a whole.
+    // Unless they were given, letters and digits are never delimiters, just as in guessDelimiter.
+    var wordChars = delimiters ? "" : "A-Za-z0-9\\u00c0-\\u024f";
+    var delimiter = "([^\\w\\s\"']{1,3}|[^ "+wordChars+nl+"\"'])";
+    // The content between the quotes is first looked for on a single line. Only if that yields no
+    // matches at all, it can span lines, for files in which every quoted field contains newlines.
+    // Since a quote char that is never closed (e.g. the apostrophe in O'Brien) makes these expressions
+    // scan the rest of the text from every position, they only look at the start of the sample.
+    var maxMultiLineLength = 8192;
+    ["[^"+nl+"]*?", "[\\s\\S]*?"].forEach(function(content, contentIndex) {
+    	var multiLine = contentIndex > 0;
+	    exprs.push({
+	    	expr: new RegExp(
+			    	delimiter			+ // Delimiter
+			    	"\\s*?"				+ // Possible whitespace between delimiter and quote char
+			    	"([\"'])"			+ // Quote character
+			    	content				+ // Non-greedy parsing of string between quotes
+			    	"\\2"				+ // Matching quote character
+			    	"\\s*?"				+ // Possible whitespace between quote char and delimiter
+			    	"\\1"				  // Matching delimiter
+		    	, "gm"),
+	    	delimRef: 1,
+	    	quoteRef: 2,
+	    	name: "delimiters on both sides",
+	    	multiLine: multiLine
+		});
+
+		// Add regexp for quotes + delimiter on the right side
+		exprs.push({
+			expr: new RegExp(
+			    	"^"					+ // Start of line (note that javascript treats the start of every line as ^)
+			    	"\\s*?"				+ // Possible whitespace at start of line
+			    	"([\"'])"			+ // Quote character
+			    	content				+ // Non-greedy parsing of string between quotes
+			    	"\\1"				+ // Matching quote character
+			    	"\\s*?"				+ // Possible whitespace between quote char and delimiter
+			    	delimiter			  // Delimiter
+		    	, "gm"),
+			delimRef: 2,
+			quoteRef: 1,
+			name: "delimiter on the right side",
+			multiLine: multiLine
+		});
+
+		// Add regexp for quotes + delimiter on the left side
+		exprs.push({
+			expr: new RegExp(
+			    	delimiter			+ // Delimiter
+			    	"\\s*?"				+ // Possible whitespace between delimiter and quote char
+			    	"([\"'])"			+ // Quote character
+			    	content				+ // Non-greedy parsing of string between quotes
+			    	"\\2"				+ // Matching quote character
+			    	"\\s*?"				+ // Possible whitespace between quote char and end of line
+			    	"$"					  // End of line (note that javascript treats the end of every line as $)
+		    	, "gm"),
+			delimRef: 1,
+			quoteRef: 2,
+			name: "delimiter on the left side",
+			multiLine: multiLine
+		});
+
+		// Add regexp for just quotes
+		exprs.push({
+			expr: new RegExp(
+			    	"^"					+ // Start of line (note that javascript treats the start of every line as ^)
+			    	"\\s*?"				+ // Possible whitespace at start of line
+			    	"([\"'])"			+ // Quote character
+			    	content				+ // Non-greedy parsing of string between quotes
+			    	"\\1"				+ // Matching quote character
+			    	"\\s*?"				+ // Possible whitespace between quote char and end of line
+			    	"$"					  // End of line (note that javascript treats the end of every line as $)
+		    	, "gm"),
+			quoteRef: 1,
+			name: "quotes only",
+			multiLine: multiLine
+		});
+    });
 
 	var matches = [];
+	var matchedExpr = null;
 
 	exprs.every(function(d) { // use every here, so we can stop the loop by returning false
+		matchedExpr = d;
+		var text = d.multiLine ? sample.substring(0, maxMultiLineLength) : sample;
 		var matchesNew;
-		while(matchesNew = d.expr.exec(sample)) {
+		while(matchesNew = d.expr.exec(text)) {
 			var match = {};
 			if(d.delimRef && matchesNew[d.delimRef]) match.delim = matchesNew[d.delimRef];
 			if(d.quoteRef && matchesNew[d.quoteRef]) match.quote = matchesNew[d.quoteRef];
@@ -221,7 +276,7 @@ function guessQuoteAndDelimiter(sample, newlineStr, delimiters) {
 		return matches.length == 0; // only go to next regexp if matches is still empty
 	});
 	if(matches.length == 0) {
-		return { delim: null, quote: null };
+		return { delim: null, quote: null, delimCandidates: [], quoteCandidates: [], trace: { expression: null, multiLine: false, nrMatches: 0, delimiters: {}, quoteChars: {} } };
 	}
 
 	var delimCounters = {};
@@ -238,27 +293,12 @@ function guessQuoteAndDelimiter(sample, newlineStr, delimiters) {
 		}
 	});
 
-	var delims = Object.keys(delimCounters);
-	var quotes = Object.keys(quoteCounters);
-
-	var delim = null;
-	if(delims.length > 0) {
-		var maxCount = -1;
-		delims.forEach(function(d) { 
-			if(delimCounters[d] > maxCount) {
-				delim = d;
-				maxCount = delimCounters[d];
-			}
-		});
-	}
+	// The share of the matches that voted for a delimiter or quote is used as its score
+	var delimCandidates = countersToCandidates(delimCounters);
+	var quoteCandidates = countersToCandidates(quoteCounters);
 
-	var maxCount = -1;
-	quotes.forEach(function(d) {
-		if(quoteCounters[d] > maxCount) {
-			quote = d;
-			maxCount = quoteCounters[d];
-		}
-	});
+	var delim = delimCandidates.length > 0 ? delimCandidates[0].value : null;
+	var quote = quoteCandidates.length > 0 ? quoteCandidates[0].value : null;
 
 	if(delim == "\n") {
 		// This is probably a one column file...
@@ -267,11 +307,63 @@ function guessQuoteAndDelimiter(sample, newlineStr, delimiters) {
 
 	return {
 		delim: delim,
-		quote: quote
+		quote: quote,
+		delimCandidates: delimCandidates.filter(function(d) { return d.value != "\n"; }),
+		quoteCandidates: quoteCandidates,
+		// the expression that matched, and the number of matches that voted for every delimiter and quote char
+		trace: { expression: matchedExpr.name, multiLine: matchedExpr.multiLine, nrMatches: matches.length, delimiters: delimCounters, quoteChars: quoteCounters }
+	}
+}
+
+function countersToCandidates(counters) {
+	// Turns an object that maps values to the number of times they were encountered into
+	// a ranked list of candidates, scored by their share of the total count
+	var total = 0;
+	var keys = Object.keys(counters);
+	keys.forEach(function(d) { total += counters[d]; });
+	return rankCandidates(keys.map(function(d) {
+		return { value: d, score: counters[d] / total };
+	}));
+}
+
+function splitCodePoints(str) {
+	// Splits a string into code points, keeping surrogate pairs together
+	return str.match(/[\ud800-\udbff][\udc00-\udfff]|[\s\S]/g) || [];
+}
+
+function countOccurrences(str, substr) {
+	// Counts the non-overlapping occurrences of substr in str
+	var count = 0;
+	var pos = 0;
+	while((pos = str.indexOf(substr, pos)) > -1) {
+		++count;
+		pos += substr.length;
 	}
+	return count;
+}
+
+function findSymbolRuns(lines) {
+	// Finds runs of 2 or 3 symbols (no letters, digits, whitespace or quotes) that occur on at
+	// least half of the lines. These are candidates for delimiters of multiple characters.
+	var linesWithRun = {};
+	lines.forEach(function(line) {
+		var seen = {};
+		var runs = line.match(/[^A-Za-z0-9\s"'\u00c0-\u024f]{2,}/g) || [];
+		runs.forEach(function(run) {
+			var parts = splitCodePoints(run);
+			if(parts.length > 3) return;
+			if(!seen[run]) {
+				seen[run] = true;
+				linesWithRun[run] = (linesWithRun[run] || 0) + 1;
+			}
+		});
+	});
+	return Object.keys(linesWithRun).filter(function(run) {
+		return linesWithRun[run] >= lines.length / 2;
+	});
 }
 
-function guessDelimiter(sample, newlineStr, delimiters) {
+function guessDelimiter(sample, newlineStr, delimiters, quoteChar) {
 	// The delimiter /should/ occur the same number of times on
     // each row. However, due to malformed data, it may not. We don't want
     // an all or nothing approach, so we allow for small variations in this
@@ -285,64 +377,73 @@ function guessDelimiter(sample, newlineStr, delimiters) {
     //   4) find out how often the character actually meets that goal
     //   5) the character that best meets its goal is the delimiter
 
-	// define a range in which to search for ASCII characters
-	var startAsciiAt = 0;
-	var asciiMax = 127;
-
-	var asciiTables = [];
-
-	var curCharIndex = 0;
-	var nrLines = 0;
-	var newlinePos;
-	while((newlinePos = sample.indexOf(newlineStr, curCharIndex)) > -1) {
-		// for every line, we build an ascii table that keeps the number of occurrences
-		var ascii = [];
-		for(var i=0; i<asciiMax-startAsciiAt; ++i) {
-			ascii.push(0); // all chars start with 0
-		}
-		while(curCharIndex < newlinePos) {
-			++ascii[sample.charCodeAt(curCharIndex)-startAsciiAt];
-			++curCharIndex;
-		}
-		// skip over the newline string
-		curCharIndex += newlineStr.length;
-
-		// and add this ascii table to the ascii tables array
-		asciiTables.push(ascii);
-		++nrLines;
-	}
+	// Single characters are counted per code point, so any Unicode character can be a delimiter.
+	// Besides single characters, strings of multiple characters are considered: the ones in the
+	// given delimiters, or if none are given, short runs of symbols that occur on most lines (e.g. || or ~|~).
+	// If the quote char is known, a quoted field with newlines does not split its record into lines,
+	// and the characters inside quoted fields are not counted. Newline characters are never taken as delimiters.
+	var lines = splitRecords(sample, newlineStr, quoteChar).map(function(line) {
+		return removeQuotedText(line, quoteChar);
+	});
+	var nrLines = lines.length;
 	if(nrLines == 0) {
-		return null;
+		return { delimiter: null, candidates: [], consistency: null, trace: { nrLines: 0, consistency: null, modes: [] } };
 	}
 
-	// now transform the ascii tables into a 'frequency of frequency' (meta-frequency) table
-	var freqTables = [];
-	for(var i=0; i<asciiMax-startAsciiAt; ++i) {
+	var multiCharDelims = delimiters ? delimiters.filter(function(d) {
+		return splitCodePoints(d).length > 1;
+	}) : findSymbolRuns(lines);
+
+	// for every line, we build a table that keeps the number of occurrences of every character,
+	// and the total number of occurrences of every character in the sample
+	var charTables = [];
+	var totals = {};
+	lines.forEach(function(line) {
+		var table = {};
+		splitCodePoints(line).forEach(function(c) {
+			table[c] = (table[c] || 0) + 1;
+			totals[c] = (totals[c] || 0) + 1;
+		});
+		multiCharDelims.forEach(function(d) {
+			var count = countOccurrences(line, d);
+			table[d] = count;
+			totals[d] = (totals[d] || 0) + count;
+		});
+		charTables.push(table);
+	});
+	// Unless they were given, letters and digits are never delimiters: they occur in words and numbers
+	// with the same count on every line just by chance, e.g. the a in a column of city names.
+	var chars = Object.keys(totals).filter(function(c) {
+		return totals[c] > 0 && !/^[\r\n]+$/.test(c) && (!!delimiters || !/^[A-Za-z0-9\u00c0-\u024f]$/.test(c));
+	}).filter(function(c) {
+		// A single line has every character at a consistent count, so only the common delimiters can
+		// split it, e.g. not the space in a sentence or the : in a URL
+		return nrLines > 1 || isCommonDelimiter(c, delimiters);
+	});
+
+	// now transform the char tables into a 'frequency of frequency' (meta-frequency) table
+	var freqTables = {};
+	chars.forEach(function(c) {
 		// for every character, we build a frequencytable
 		var freqTable = [];
-		asciiTables.forEach(function(d) {
-			if(!freqTable[d[i]]) freqTable[d[i]] =  1;
-			else 				 freqTable[d[i]] += 1;
+		charTables.forEach(function(d) {
+			var freq = d[c] || 0;
+			if(!freqTable[freq]) freqTable[freq] =  1;
+			else 				 freqTable[freq] += 1;
 		});
-		freqTables[i] = freqTable;
-	}
+		freqTables[c] = freqTable;
+	});
 
 	// using this meta-frequency table, we calculate the so called character 'modes', defined 
 	// for every character as the max frequency of occurences minus the sum of all other
 	// frequencies of occurences
-	var modes = [];
-	for(var i=0; i<asciiMax-startAsciiAt; ++i) {
-		var keys = Object.keys(freqTables[i]);
-		if(keys.length == 1 && keys[0] == 0) {
-			//This character never occurs on any line
-			continue;
-		}
-		
-		// if we arrived here, we are sure that the character occurs at least once somewhere
+	var modes = {};
+	chars.forEach(function(c) {
+		// we are sure that the character occurs at least once somewhere
 
 		//calculate max meta frequency, and also remember the corresponding frequency
 		var max = { freq: null, metaFreq: -Infinity };
-		freqTables[i].forEach(function(metaFreq, freq) {
+		freqTables[c].forEach(function(metaFreq, freq) {
 			if(metaFreq > max.metaFreq) {
 				max.freq = freq;
 				max.metaFreq = metaFreq;
@@ -351,13 +452,13 @@ function guessDelimiter(sample, newlineStr, delimiters) {
 
 		// calculate sum of frequencies
 		var sum = 0;
-		freqTables[i].forEach(function(d) {
+		freqTables[c].forEach(function(d) {
 			sum += d;
 		});
 
 		// we can now calculate the mode for this character
-		modes[i] = { maxFreq: max.freq, mode: max.metaFreq - (sum - max.metaFreq) }; // Equals 2max - sum
-	}
+		modes[c] = { maxFreq: max.freq, mode: max.metaFreq - (sum - max.metaFreq) }; // Equals 2max - sum
+	});
 
 	// We now have a mode for each character, which tells us something about the number of
 	// meta frequencies. The higher the mode is for a character, the more likely it is that
@@ -370,300 +471,3193 @@ function guessDelimiter(sample, newlineStr, delimiters) {
 	var consistency = 1.0;
 	var threshold = 0.8; // when this value is reached without finding a candidate for a delimiter, we give up...
 	var decreaseStep = 0.01;
+	var foundAt = null; // the consistency at which delimiters were found
 	while(delims.length == 0 && consistency > threshold) {
-		modes.forEach(function(d, i) {
+		chars.forEach(function(delim) {
+			var d = modes[delim];
 			if(d.maxFreq == 0 || d.mode <= 0) return;
-			var delim = String.fromCharCode(i+startAsciiAt);
 			if((d.mode / nrLines) >= consistency && (!delimiters || delimiters.indexOf(delim) > -1)) {
 				delims.push(delim);
 			}
 		});
+		if(delims.length > 0) {
+			foundAt = Math.round(consistency * 100) / 100;
+		}
 		consistency -= decreaseStep;
 	}
 
-	if(delims.length == 0) {
-		return null;
+	// Every character that occurs on a consistent basis is a candidate, scored by the ratio of its
+	// mode and the number of lines. Equal scores are ranked using a list of known delimiters.
+	var knownDelims = [",", "\t", ";", " ", ":", "|"];
+	var candidates = [];
+	chars.forEach(function(delim) {
+		var d = modes[delim];
+		if(d.maxFreq == 0 || d.mode <= 0) return;
+		if(delimiters && delimiters.indexOf(delim) == -1) return;
+		candidates.push({ value: delim, score: d.mode / nrLines });
+	});
+	candidates.sort(function(a, b) {
+		var aKnown = knownDelims.indexOf(a.value), bKnown = knownDelims.indexOf(b.value);
+		if(aKnown == -1) aKnown = knownDelims.length;
+		if(bKnown == -1) bKnown = knownDelims.length;
+		return (b.score - a.score) || (aKnown - bKnown) || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0);
+	});
+
+	function getTrace(candidates) {
+		// Describes how the delimiter was found, with the meta-frequency tables of the top candidates,
+		// which map every count of the candidate on a line to the number of lines with that count
+		var maxModes = 5;
+		return {
+			nrLines: nrLines,
+			consistency: foundAt,
+			modes: candidates.slice(0, maxModes).map(function(d) {
+				var linesPerCount = {};
+				freqTables[d.value].forEach(function(metaFreq, freq) {
+					linesPerCount[freq] = metaFreq;
+				});
+				var maxFreq = modes[d.value].maxFreq;
+				return {
+					value: d.value,
+					mostCommonCount: maxFreq,
+					linesWithMostCommonCount: linesPerCount[maxFreq],
+					otherLines: nrLines - linesPerCount[maxFreq],
+					linesPerCount: linesPerCount
+				};
+			})
+		};
 	}
 
-	if(delims.length == 1) {
-		return delims[0];
+	if(delims.length == 0) {
+		return { delimiter: null, candidates: candidates, consistency: null, trace: getTrace(candidates) };
 	}
 
-	// We have > 1 delimiter; use a list of known delimiters
-	[",", "\t", ";", " ", ":", "|"].forEach(function(d) {
-		if(delims.indexOf(d) > -1) {
-			return d;
+	// A string of multiple characters wins from the characters it consists of, if all occurrences of
+	// these characters are part of it. Of those, the longest one wins.
+	var winner = null;
+	delims.forEach(function(d) {
+		var parts = splitCodePoints(d);
+		if(parts.length < 2 || (winner && parts.length <= splitCodePoints(winner).length)) return;
+		var covers = parts.every(function(c) {
+			return totals[c] == totals[d] * countOccurrences(d, c);
+		});
+		if(covers) {
+			winner = d;
 		}
 	});
+	if(winner) {
+		delims = [winner];
+	}
+
+	winner = delims[0]; // if no known delimiter is found, we just use the first one
+	if(delims.length > 1) {
+		// We have > 1 delimiter; use a list of known delimiters
+		knownDelims.some(function(d) {
+			if(delims.indexOf(d) > -1) {
+				winner = d;
+				return true;
+			}
+			return false;
+		});
+	}
 
-	// We still found no apparent winner... just return the first one
-	return delims[0];
+	// Make sure the winner heads the list of candidates, even when another candidate with a slightly
+	// higher score was passed over in favour of a known delimiter
+	candidates = candidates.filter(function(d) { return d.value == winner; }).concat(
+		candidates.filter(function(d) { return d.value != winner; }));
+	return {
+		delimiter: winner,
+		candidates: candidates,
+		consistency: foundAt,
+		trace: getTrace(candidates)
+	};
 }
 
-function parseSample(sample, newlineStr, delimiter, quotechar) {
-	// Parse sample by creating a state machine to split lines (necessary because
-	// we don't want to split a line if we find a newline str inside a quoted field)
-	// Assumption of this function is that the quotechar is not contained inside the
-	// newlineStr. This would probably devastate the parsing, but is a safe assumption
-	// since it must be a really f*cked up format if the newline string contains the
-	// quotechar.
-	var lines = [];
-	if(!quotechar) {
-		// no quote char, simple!
-		lines = sample.split(newlineStr);
-		if(lines.length > 1) {
-			lines.pop(); //drop last element, since that can be an incomplete line
-		}
-		return lines.map(function(line) { return line.split(delimiter); });
+function preferNumericDelimiter(sample, newlineStr, quoteChar, delimiterData, numberFormat) {
+	// Numbers with a decimal comma (e.g. 1.234,56;7,5) can make the comma occur just as consistently as
+	// the real delimiter, and the comma is then preferred since it is a known delimiter. Whenever the
+	// comma and the semicolon both pass the consistency test of guessDelimiter, we split the sample with
+	// both of them and the one that results in the most numbers wins. Returns the reordered candidates.
+	var candidates = delimiterData.candidates;
+	if(!delimiterData.delimiter || candidates.length < 2) {
+		return candidates;
 	}
-
-	// if we arrived here, it means the real deal: a quote char needs to be considered
-	var result = [];
-	var vals = [];
-    var curVal = "";
-    var insideQuotes = false;
-    var escape = false;
-    for(var i=0; i<sample.length; ++i) {
-    	var curchar = sample.charAt(i);
-    	if(!escape) {
-    		// only do all of the checks if curchar is not escaped
-	    	if(curchar == "\\") {
-	    		escape = true;
-	    		continue;
-	    	}
-	    	if(curchar == quotechar) {
-	    		insideQuotes = !insideQuotes;
-	    		continue;
-	    	}
-
-	    	if(!insideQuotes) {
-	    		// check if we are currently standing at a newline
-				var atNewline = true;
-				for(var j=0; j<newlineStr.length; ++j) {
-					if(sample.charAt(i+j) != newlineStr.charAt(j)) {
-						atNewline = false;
-						break;
-					}
-				}
-				if(atNewline || curchar == delimiter) {
-					vals.push(curVal);
-					curVal = "";
-					if(atNewline) {
-						if(vals[vals.length-1] == "") { // remove last item if it is completely empty
-							vals.pop();
-						}
-						result.push(vals);
-						vals = [];
-					}
-					continue;
-				}
-	    	}
-    	}
-    	escape = false;
-    	curVal += curchar;
-    }
-    // after the loop, remaints might be in the vals array. We leave them there, since it is not considered
-    // a complete line if no newline was read after it
-    return result;
+	var winner = candidates[0];
+	var rivalValue = { ",": ";", ";": "," }[winner.value];
+	var rival = candidates.filter(function(d) { return d.value == rivalValue && d.score >= delimiterData.consistency; })[0];
+	if(!rival) {
+		return candidates;
+	}
+	function getShare(delimiter) {
+		var parsedSample = parseSample(sample, { newlineStr: newlineStr, delimiter: delimiter, quoteChar: quoteChar });
+		return getNumberShare(parsedSample, numberFormat || guessNumberFormat(parsedSample));
+	}
+	if(getShare(rival.value) <= getShare(winner.value)) {
+		return candidates;
+	}
+	return [rival].concat(candidates.filter(function(d) { return d != rival; }));
 }
 
-function getAccumulatedType(curValue, curType) {
-    // Note: If curType is "integer", this function will return the actual type of
-    // curValue
-    if(curType == "string") return "string"; //can't get worse than string
+var commentCharCandidates = ["#", "//", "%"];
 
-    // see if we should fall back to string by seeing if this is a finite number
-    if(!isFinite(curValue)) return "string";
+function removeQuotedText(record, quoteChar) {
+	// Empties the quoted fields of a record, keeping the quote chars. Splitting at the quote chars
+	// leaves the text outside quoted fields at the even positions, also when quote chars are doubled.
+	if(!quoteChar) {
+		return record;
+	}
+	return record.split(quoteChar).map(function(part, i) {
+		return i % 2 == 0 ? part : "";
+	}).join(quoteChar);
+}
 
-    // see if we should fall back from int to float
-    if(curType == "float" || curValue%1 !== 0) return "float";
+function countDelimiters(record, delimiter, quoteChar) {
+	// Counts the delimiters in a record that are not inside quoted fields
+	return countOccurrences(removeQuotedText(record, quoteChar), delimiter);
+}
 
-    return "integer";
+function getPreambleDelimiter(lines, candidates, quoteChar) {
+	// The preamble lines can make the delimiter too inconsistent to be detected. The best candidate is
+	// then only used if it occurs the same number of times on every line from the first line that has it,
+	// and that line looks like a header: it has no digits, while the line below it has. Otherwise this is
+	// a single column, whose values happen to contain the candidate (e.g. the / of dates or the : of URLs).
+	if(candidates.length == 0) {
+		return null;
+	}
+	var delimiter = candidates[0].value;
+	var counts = lines.map(function(line) { return countDelimiters(line, delimiter, quoteChar); });
+	var start = 0;
+	while(start < counts.length && counts[start] == 0) {
+		++start;
+	}
+	var isTable = start + 1 < counts.length && counts.slice(start).every(function(d) { return d == counts[start]; });
+	return isTable && !/\d/.test(lines[start]) && /\d/.test(lines[start + 1]) ? delimiter : null;
 }
 
-function getTypes(parsedSample) {
-	// Parses all lines in the lines array and determines the type of all the columns.
-	// Returns three type arrays:
-	// - Types considering all rows
-	// - Types considering all but the first row
-	// - Types considering only the first row
+function findPreamble(sample, newlineStr, options, dialect) {
+	// Looks for lines at the start of the sample that are not part of the data: an Excel sep= hint
+	// on the first line, comment lines, and preamble lines such as titles and generator banners.
+	// Preamble lines are recognized by containing fewer delimiters than most other lines, using the
+	// quote char and delimiter that were detected in the whole sample. A comment char starts some, but
+	// less than half, of the lines, and never a line that looks like data (e.g. a header like #id,name).
+	// The delimiter of a fixed width file is not used, since the separating char (e.g. a space or the
+	// . of a number) occurs too irregularly to tell preamble lines apart. Returns the number of lines to
+	// skip, which includes the sep= hint and leading comment lines, the comment char, and the delimiter
+	// of the sep= hint.
+	var quoteChar = dialect.quoteChar;
+	var lines = splitRecords(sample, newlineStr, quoteChar);
+	var start = 0;
+	var sepHint = null;
+	var match = lines.length > 0 && /^"?sep=(.{1,3}?)"?$/i.exec(lines[0]);
+	if(match) {
+		sepHint = match[1];
+		start = 1;
+	}
 
-    var firstValues = null; // used to calculate the all array in the end
-    var first = [];
-    var tail = [];
-    var all = null; // will be calculated in the end
+	var commentChar = null;
+	if(options.commentChar !== undefined) {
+		commentChar = options.commentChar || null;
+	} else {
+		var maxCount = 0;
+		commentCharCandidates.forEach(function(c) {
+			var count = lines.slice(start).filter(function(line) { return line.indexOf(c) == 0; }).length;
+			if(count > maxCount && count < (lines.length - start) / 2) {
+				commentChar = c;
+				maxCount = count;
+			}
+		});
+	}
+	function isComment(line) {
+		return !!commentChar && line.indexOf(commentChar) == 0;
+	}
 
-    parsedSample && parsedSample.forEach(function(cols, i) {
-    	if(i == 0) {
-    		firstValues = cols;
-    		cols.forEach(function(col) {
-    			first.push(getAccumulatedType(col, "integer"));
-    			tail.push("integer");
-    		});
-    		return;
-    	}
-    	if(cols.length != first.length) {
-    		// do not use lines that have not the same number of columns as the header,
-    		// since it might steer us into wrong conclusions. We just pray that the
-    		// first row of the file (header row) does not contain some weird number of 
-    		// columns that differs from all other rows.
-    		return;
-    	}
-		cols.forEach(function(col, colIndex) {
-			tail[colIndex] = getAccumulatedType(col, tail[colIndex]);
-    	});
-    });
+	// find the number of times the delimiter occurs on most lines
+	var dataLines = lines.slice(start).filter(function(line) { return !isComment(line); });
+	var delimiter = options.delimiter || sepHint || (dialect.fixedColumns ? null :
+		dialect.delimiter || getPreambleDelimiter(dataLines, dialect.candidates.delimiter || [], quoteChar));
+	var countCounters = {};
+	dataLines.forEach(function(line) {
+		var count = delimiter ? countDelimiters(line, delimiter, quoteChar) : 0;
+		countCounters[count] = (countCounters[count] || 0) + 1;
+	});
+	var counts = countersToCandidates(countCounters);
+	var expectedCount = counts.length > 0 ? Number(counts[0].value) : 0;
 
-    all = tail.slice(0); //copy and accumulate using the first values
-    firstValues && firstValues.forEach(function(col, i) {
-    	all[i] = getAccumulatedType(col, all[i]);
-    });
+	if(options.commentChar === undefined && expectedCount > 0 && lines.slice(start).some(function(line) {
+		return isComment(line) && countDelimiters(line, delimiter, quoteChar) == expectedCount;
+	})) {
+		commentChar = null;
+	}
 
-    return {
-    	first: first,
-    	tail: tail,
-    	all: all
-    };
+	var skipRows = start;
+	if(options.skipRows !== undefined) {
+		skipRows = options.skipRows;
+	} else if(expectedCount > 0) {
+		while(skipRows < lines.length && (isComment(lines[skipRows]) || countDelimiters(lines[skipRows], delimiter, quoteChar) < expectedCount)) {
+			++skipRows;
+		}
+		if(skipRows - start >= (lines.length - start) / 2) {
+			// this is not a preamble, but data that does not fit our expectations
+			skipRows = start;
+		}
+	}
+	return { skipRows: skipRows, commentChar: commentChar, sepHint: sepHint };
 }
 
-function hasHeader(parsedSample) {
-	// Figures out the types of data in each column. If any
-    // column is of a single type (say, integers), *except* for the first
-    // row, then the first row is presumed to be labels. If the type
-    // can't be determined, it is assumed to be a string in which case
-    // the length of the string is the determining factor: if all of the
-    // rows except for the first are the same length, it's a header.
-    // Finally, a 'vote' is taken at the end for each column, adding or
-    // subtracting from the likelihood of the first row being a header.
- 
- 	var firstValues = null;
-    var lengthsTail = [];
-
-    parsedSample && parsedSample.forEach(function(cols, i) {
-    	if(i == 0) {
-    		// This is the possible header
-    		firstValues = cols;
-    		cols.forEach(function() {
-    			lengthsTail.push([]);
-    		});
-    		return;
-    	}
-    	if(cols.length != firstValues.length) {
-    		// do not use lines that have not the same number of columns as the header,
-    		// since it might steer us into wrong conclusions. We just pray that the
-    		// first row of the file (header row) does not contain some weird number of 
-    		// columns that differs from all other rows.
-    		return;
-    	}
+function getBody(sample, newlineStr, skipRows, commentChar, quoteChar) {
+	// Returns the sample without the lines that are skipped and the comment lines. Lines inside
+	// quoted fields are part of their record, so they are never taken for comment lines.
+	if(skipRows == 0 && !commentChar) {
+		return sample;
+	}
+	var records = splitRecords(sample, newlineStr, quoteChar);
+	var length = 0;
+	records.forEach(function(record) { length += record.length + newlineStr.length; });
+	return records.slice(skipRows).filter(function(record) {
+		return !commentChar || record.indexOf(commentChar) != 0;
+	}).map(function(record) {
+		return record + newlineStr;
+	}).join("") + sample.substring(length);
+}
 
-		// Update lengths arrays for this row
-    	cols.forEach(function(col, colIndex) {
-			lengthsTail[colIndex].push(col.length);
-    	});
-    });
+function guessEscaping(sample, newlineStr, delimiter, quotechar) {
+	// Figures out how quote chars inside quoted fields are written. A doubled quote char ("") that is
+	// not an empty field is evidence for doubleQuote. A quote char preceded by a backslash (\") is
+	// evidence for a backslash escapeChar when the field continues after it, but when the field ends
+	// right after it (e.g. "C:\data\",) it is evidence for a literal backslash at the end of the value.
+	// Without evidence for backslashes, we follow RFC 4180, where quote chars are always doubled.
+	if(!quotechar) {
+		return { doubleQuote: false, escapeChar: null };
+	}
 
-    var types = getTypes(parsedSample);
-	// All types and lengths are known, let every col bring out a vote.
-	// Whenever the type of the header col differs from the type of the rest of
-	// the column (and type of first row is string), this vote is +2. Otherwise, we use the values in the
-	// lengths array to calculate the average and the standard deviation of these
-	// lengths. The vote then depends on how close/far it is from the 
-	// average. Close to average means negative vote, far from average means positive
-	// vote.
-	var vote = 0;
-	firstValues && firstValues.forEach(function(col, i) {
-		if(types.first[i] != types.tail[i] && types.first[i] == "string") {
-			// Yup, first row has different type
-			return vote += 2;
+	function followsAt(str, pos) {
+		return str && pos >= str.length && sample.substr(pos - str.length, str.length) == str;
+	}
+	function precedesAt(str, pos) {
+		return str && sample.substr(pos, str.length) == str;
+	}
+	function atFieldStart(pos) {
+		return pos == 0 || followsAt(newlineStr, pos) || followsAt(delimiter, pos);
+	}
+	function atFieldEnd(pos) {
+		return pos >= sample.length || precedesAt(newlineStr, pos) || precedesAt(delimiter, pos);
+	}
+	function isEscaped(pos) {
+		// a char is escaped when it is preceded by an odd number of backslashes
+		var nrBackslashes = 0;
+		while(pos - nrBackslashes > 0 && sample.charAt(pos - nrBackslashes - 1) == "\\") {
+			++nrBackslashes;
 		}
-		var sum = 0;
-		lengthsTail[i].forEach(function(d) { sum += d; });
-		var avg = sum / lengthsTail[i].length;
-		var diffSqSum = 0;
-		lengthsTail[i].forEach(function(d) { diffSqSum += ((avg - d)*(avg - d)); });
-		var sd = diffSqSum / lengthsTail[i].length;
-
-		// If the header has a length that deviates a lot from the columns, we vote +1.
-		// Otherwise, we vote -1
-		var tolerance = 2 * sd;
+		return nrBackslashes % 2 == 1;
+	}
 
-		if(Math.abs(col.length - avg) > tolerance) {
-			++vote;
-		} else {
-			--vote;
+	var doubled = 0;
+	var escaped = 0;
+	var literal = 0;
+	var pos = 0;
+	while((pos = sample.indexOf(quotechar + quotechar, pos)) > -1) {
+		if(!isEscaped(pos) && !(atFieldStart(pos) && atFieldEnd(pos + 2))) {
+			++doubled;
 		}
-	});
+		pos += 2;
+	}
+	pos = 0;
+	while((pos = sample.indexOf(quotechar, pos + 1)) > -1) {
+		if(isEscaped(pos)) {
+			if(atFieldEnd(pos + 1)) {
+				++literal;
+			} else {
+				++escaped;
+			}
+		}
+	}
 
-	// We are done calculating stuff. Return the types that we found and whether or not
-	// we think this sample contains a header.
-	var hasHeader = vote > 0;
+	var escapeChar = (escaped > literal && escaped > doubled) ? "\\" : null;
 	return {
-		types: types[hasHeader ? 'tail' : 'all'],
-		hasHeader: hasHeader
+		doubleQuote: escapeChar ? doubled > 0 : true,
+		escapeChar: escapeChar
 	};
 }
 
-module.exports = function() {
-
-	function CSVSniffer(delims) {
-		this.delimiters = delims;
+function guessSkipInitialSpace(parsedSample, delimiter) {
+	// If (almost) every non-empty value that follows a delimiter starts with whitespace, the
+	// whitespace is most likely part of the delimiter rather than of the values, e.g. 1, 2, 3
+	var threshold = 0.9;
+	if(!delimiter || /^[ \t]/.test(delimiter)) {
+		return false;
 	}
+	var nrValues = 0;
+	var nrSpaced = 0;
+	parsedSample.forEach(function(cols) {
+		cols.forEach(function(value, i) {
+			if(i == 0 || value === "") return;
+			++nrValues;
+			if(/^[ \t]/.test(value)) {
+				++nrSpaced;
+			}
+		});
+	});
+	return nrValues > 0 && nrSpaced / nrValues >= threshold;
+}
 
-    // Expose the function used to accumulate the types to the outside world.
-    // Given a current type, and a value, it returns the accumulated type.
-    // For example, if the curType is integer and the curValue is 4.4, the result
-    // will be float. If curValue in this case would be a string, the result would be a string.
-    CSVSniffer.prototype.getAccumulatedType = function(curValue, curType) {
-        return getAccumulatedType(curValue, curType);
-    };
-
-
-	// Sniff the given sample, using the given options. See documentation for exact options.
+function isCommonDelimiter(delimiter, delimiters) {
+	// Checks if the delimiter is one that is commonly used in delimited files, or one that was given
+	return !!delimiter && ([",", "\t", ";", "|"].indexOf(delimiter) > -1 || (!!delimiters && delimiters.indexOf(delimiter) > -1));
+}
 
-	CSVSniffer.prototype.sniff = function(sample, options) {
-		if(!options) {
-			var options = {};
+function guessColumns(sample, newlineStr) {
+	// Fixed width files align their values in columns: at some positions, every line has a space (or
+	// has ended already). A column starts after such a run of positions and ends where the next column
+	// starts, or for the last column, at the end of the longest line. A run of a single space only
+	// separates columns if a label of the header (the first line) starts right after it, since words
+	// of about the same length in a single column (e.g. first names) line up their spaces as well.
+	// Since the lines of a fixed width file have about the same length, most lines should reach the
+	// last column. Returns null if there are not at least two columns.
+	var lines = sample.split(newlineStr);
+	lines.pop(); // the last line can be incomplete
+	lines = lines.filter(function(line) { return /\S/.test(line); });
+	if(lines.length < 2) {
+		return null;
+	}
+	var width = lines.reduce(function(max, line) { return Math.max(max, line.length); }, 0);
+	var used = [];
+	lines.forEach(function(line) {
+		for(var pos = 0; pos < line.length; ++pos) {
+			used[pos] = used[pos] || line.charAt(pos) != " ";
 		}
-		var result = {};
-		result.warnings = [];
-		result.newlineStr = options.newlineStr || getNewlineStr(sample);
-		if(!result.newlineStr) {
-			throw new Error("No newline characters found in your file...");
+	});
+	var header = lines[0];
+	var columns = [];
+	var nrUnused = 0; // the number of positions before pos that no line uses
+	for(var pos = 0; pos < width; ++pos) {
+		if(!used[pos]) {
+			++nrUnused;
+			continue;
 		}
-		result.delimiter = options.delimiter;
-		if(options.quoteChar === undefined) {
-			result.quoteChar = null;
-			var quoteAndDelim = guessQuoteAndDelimiter(sample, result.newlineStr, this.delimiters);
-			if(quoteAndDelim.delim && (quoteAndDelim.quote == "'" || quoteAndDelim.quote == '"')) {
-				result.quoteChar = quoteAndDelim.quote;
-				if(options.delimiter === undefined) {
-                    // only set result.delimiter if a valid quoteChar was found
-					result.delimiter = quoteAndDelim.delim;
-				} else if(options.delimiter !== quoteAndDelim.delim) {
-					result.warnings.push("Difference found in delimiters. User proposed "+options.delimiter+" but we believe it should be "+quoteAndDelim.delim);
-				}
-			}
-		} else {
-			result.quoteChar = options.quoteChar;
+		var startsLabel = header.charAt(pos) != " " && header.charAt(pos - 1) == " ";
+		if(columns.length == 0 || nrUnused >= 2 || (nrUnused == 1 && startsLabel)) {
+			columns.push({ start: columns.length == 0 ? 0 : pos, end: width });
 		}
-		if(!result.delimiter) {
-			result.delimiter = guessDelimiter(sample, result.newlineStr, this.delimiters);
+		nrUnused = 0;
+	}
+	columns.forEach(function(column, i) {
+		if(i + 1 < columns.length) {
+			column.end = columns[i + 1].start;
 		}
-		var parsedSample = parseSample(sample, result.newlineStr, result.delimiter, result.quoteChar);
-		if(options.hasHeader == undefined) {
-			var hasHeaderData = hasHeader(parsedSample);
-			result.hasHeader = hasHeaderData.hasHeader;
-			result.types = hasHeaderData.types;
-		} else {
-			result.hasHeader = options.hasHeader;
-			result.types = getTypes(parsedSample)[result.hasHeader ? 'tail' : 'all'];
+	});
+	if(columns.length < 2) {
+		return null;
+	}
+	var lastStart = columns[columns.length - 1].start;
+	var nrComplete = lines.filter(function(line) { return /\S/.test(line.substring(lastStart)); }).length;
+	return nrComplete >= 0.8 * lines.length ? columns : null;
+}
+
+function createFixedWidthParser(dialect) {
+	// Creates a parser with the same interface as createParser, for fixed width files. Lines are split
+	// at the start and end offsets of the fixedColumns of the dialect, and the spaces around the values are
+	// removed. The last column also takes the characters beyond its end. The skipRows and commentChar
+	// of the dialect are supported as well.
+	var newlineStr = dialect.newlineStr;
+	var columns = dialect.fixedColumns;
+	var rowsToSkip = dialect.skipRows || 0;
+	var commentChar = dialect.commentChar || null;
+	var rest = "";
+	var written = 0;
+
+	function parseLine(line, records) {
+		if(rowsToSkip > 0) {
+			--rowsToSkip;
+			return;
 		}
+		if(commentChar && line.indexOf(commentChar) == 0) {
+			return;
+		}
+		records.push(columns.map(function(column, i) {
+			var end = i + 1 < columns.length && column.end != null ? column.end : undefined;
+			return line.substring(column.start, end).trim();
+		}));
+	}
+
+	return {
+		write: function(input, final) {
+			var records = [];
+			var lines = (rest + input).split(newlineStr);
+			written += input.length;
+			rest = lines.pop();
+			lines.forEach(function(line) {
+				parseLine(line, records);
+			});
+			if(final && rest !== "") {
+				parseLine(rest, records);
+				rest = "";
+			}
+			return records;
+		},
+		isPartial: function() {
+			return rest !== "";
+		},
+
+		getCompleteLength: function() {
+			return written - rest.length;
+		}
+	};
+}
+
+function createParser(dialect, report) {
+	// Creates a state machine to split lines and values (necessary because we don't want to
+	// split a line if we find a newline str inside a quoted field). Text can be fed to the parser
+	// in chunks, and all state (being inside quotes, an escape, a partial value or a partially
+	// read newline str) carries over to the next chunk.
+	// The dialect contains the newlineStr, delimiter and quoteChar, and optionally doubleQuote (a
+	// doubled quote char inside a quoted field is a literal quote char, true by default), escapeChar
+	// (the char that makes the next char literal, none by default), skipInitialSpace (skip spaces and
+	// tabs after a delimiter, as in Python), trimTrailingSpace (remove spaces and tabs at the end of a
+	// value, unless they are quoted), skipRows (the number of lines to skip before the first record)
+	// and commentChar (skip lines that start with it). If the dialect has fixedColumns, it describes a fixed
+	// width file instead (see createFixedWidthParser).
+	// If a report function is given, it is called with an issue for every malformed record: a record
+	// with another number of values than the first record, an empty line, a quote char inside an
+	// unquoted value, a record of several lines since such a stray quote char opened a quoted value, or
+	// a quote char that is not closed at the end of the input. Issues have a kind, the line on which the
+	// record starts (1-based), the offset of the record in the input (in chars), and the expected and
+	// actual values. Stray quote chars get the line and offset of the quote char itself instead.
+	// Assumption of this function is that the quotechar is not contained inside the
+	// newlineStr. This would probably devastate the parsing, but is a safe assumption
+	// since it must be a really f*cked up format if the newline string contains the
+	// quotechar.
+	if(dialect.fixedColumns) {
+		return createFixedWidthParser(dialect);
+	}
+	var newlineStr = dialect.newlineStr;
+	var delimiter = dialect.delimiter;
+	var quotechar = dialect.quoteChar || null;
+	var doubleQuote = !!quotechar && dialect.doubleQuote !== false;
+	var escapeChar = dialect.escapeChar || null;
+	var skipInitialSpace = !!dialect.skipInitialSpace;
+	var trimTrailingSpace = !!dialect.trimTrailingSpace;
+	var rowsToSkip = dialect.skipRows || 0;
+	var commentChar = dialect.commentChar || null;
+	var vals = [];
+	var curVal = "";
+	var insideQuotes = false;
+	var escape = false;
+	var atValueStart = true;
+	var quotedLength = 0; // length of curVal up to the last quote char, which protects quoted spaces from trimming
+	var strayQuoteLength = null; // length of curVal at a stray quote char that opened a quoted value
+	var pending = ""; // text at the end of the previous chunk that might be the start of a newline str, delimiter or doubled quote char
+	var written = 0; // number of chars that were written to the parser
+	var line = 1;
+	var record = null; // position of the current record, and the issues found in it so far
+	var completeLength = 0; // number of chars up to the end of the last complete record
+	var nrColumns = null;
+
+	function startsAt(text, str, i) {
+		return str && text.charAt(i) == str.charAt(0) && text.substr(i, str.length) == str;
+	}
+
+	function mightStartAt(text, str, i) {
+		// checks if the text that remains at i is a proper prefix of str
+		return str && text.length - i < str.length && str.indexOf(text.substr(i)) == 0;
+	}
+
+	function endValue(value) {
+		if((quotedLength > 0 || escapeChar) && value.indexOf(newlineStr) > -1) {
+			// newline strs can only occur in values that are quoted or escaped
+			line += countOccurrences(value, newlineStr);
+		}
+		if(trimTrailingSpace) {
+			value = value.substring(0, quotedLength) + value.substring(quotedLength).replace(/[ \t]+$/, "");
+		}
+		vals.push(value);
+		curVal = "";
+		atValueStart = true;
+		quotedLength = 0;
+		strayQuoteLength = null;
+	}
+
+	function issue(kind, expected, actual) {
+		return { kind: kind, line: record.line, offset: record.offset, expected: expected, actual: actual };
+	}
+
+	function endRecord(records, end) {
+		records.push(vals);
+		completeLength = end;
+		if(report) {
+			// the issues of the whole record come before the stray quote chars in it, so they are in the order of their offsets
+			var issues = [];
+			if(vals.length == 1 && vals[0] === "") {
+				issues.push(issue("emptyLine", nrColumns, 0));
+			} else if(nrColumns === null) {
+				nrColumns = vals.length;
+			} else if(vals.length != nrColumns) {
+				issues.push(issue("columnCount", nrColumns, vals.length));
+			}
+			if(record.swallowedLines) {
+				issues.push(issue("swallowedLines", 1, line - record.line + 1));
+			}
+			if(insideQuotes) {
+				issues.push(issue("unterminatedQuote", quotechar, null));
+			}
+			issues.concat(record.issues).forEach(report);
+		}
+		vals = [];
+		record = null;
+		++line;
+	}
+
+	return {
+		// Parses the given chunk of text and returns the records that were completed in it.
+		// If final is true, the chunk is the last one, and the remaining values form the last record.
+		write: function(text, final) {
+			var input = pending + text;
+			var inputOffset = written - pending.length;
+			var records = [];
+			var segmentStart = 0; // values are copied in segments, rather than char by char
+			var i = 0;
+			written += text.length;
+			pending = "";
+			while(i < input.length) {
+				if(escape) {
+					escape = false;
+					++i;
+					continue;
+				}
+				var atRecordStart = vals.length == 0 && segmentStart == i && curVal === "" && atValueStart && !insideQuotes;
+				if(rowsToSkip > 0 || (atRecordStart && startsAt(input, commentChar, i))) {
+					// skip a preamble line or a comment line, up to and including the next newline str
+					var end = input.indexOf(newlineStr, i);
+					if(end == -1 && !final) {
+						pending = input.substring(i);
+						break;
+					}
+					rowsToSkip = Math.max(rowsToSkip - 1, 0);
+					i = end == -1 ? input.length : end + newlineStr.length;
+					segmentStart = i;
+					completeLength = inputOffset + i;
+					++line;
+					continue;
+				}
+				if(atRecordStart && !final && mightStartAt(input, commentChar, i)) {
+					pending = input.substring(i);
+					break;
+				}
+				if(!record) {
+					record = { line: line, offset: inputOffset + i, issues: [] };
+				}
+				var curchar = input.charAt(i);
+				if(atValueStart && skipInitialSpace && vals.length > 0 && (curchar === " " || curchar === "\t") && !startsAt(input, delimiter, i)) {
+					segmentStart = ++i;
+					continue;
+				}
+				atValueStart = false;
+				if(insideQuotes && doubleQuote && curchar === quotechar) {
+					if(i + 1 == input.length && !final) {
+						// we can only tell if this quote char is doubled after reading the next chunk
+						curVal += input.substring(segmentStart, i);
+						segmentStart = i;
+						pending = input.substring(i);
+						break;
+					}
+					if(input.charAt(i + 1) === quotechar) {
+						// a doubled quote char, of which we keep one
+						curVal += input.substring(segmentStart, i + 1);
+						i += 2;
+						segmentStart = i;
+						continue;
+					}
+				}
+				if(curchar === escapeChar || curchar === quotechar) {
+					curVal += input.substring(segmentStart, i);
+					if(curchar === escapeChar) {
+						escape = true;
+					} else {
+						if(!insideQuotes && quotedLength < curVal.length && !record.swallowedLines) {
+							// a quote char after unquoted text in the value (once a stray quote char has swallowed lines,
+							// the quote chars of the record are paired wrongly, so they are not reported as well)
+							var strayQuote = issue("strayQuote", null, quotechar);
+							strayQuote.line = line + countOccurrences(curVal, newlineStr);
+							strayQuote.offset = inputOffset + i;
+							record.issues.push(strayQuote);
+							strayQuoteLength = curVal.length;
+						} else if(insideQuotes && strayQuoteLength !== null) {
+							// the quoted value that the stray quote char opened has swallowed lines
+							record.swallowedLines = record.swallowedLines || curVal.indexOf(newlineStr, strayQuoteLength) > -1;
+							strayQuoteLength = null;
+						}
+						insideQuotes = !insideQuotes;
+						quotedLength = curVal.length;
+					}
+					segmentStart = ++i;
+					continue;
+				}
+				if(!insideQuotes) {
+					var atNewline = startsAt(input, newlineStr, i);
+					if(atNewline || startsAt(input, delimiter, i)) {
+						endValue(curVal + input.substring(segmentStart, i));
+						if(atNewline) {
+							endRecord(records, inputOffset + i + newlineStr.length);
+						}
+						i += atNewline ? newlineStr.length : delimiter.length;
+						segmentStart = i;
+						continue;
+					}
+					if(!final && (mightStartAt(input, newlineStr, i) || mightStartAt(input, delimiter, i))) {
+						// we can only tell what this is after reading the next chunk
+						pending = input.substring(i);
+						break;
+					}
+				}
+				++i;
+			}
+			curVal += input.substring(segmentStart, i);
+			if(final && (vals.length > 0 || curVal !== "" || insideQuotes)) {
+				endValue(curVal);
+				endRecord(records, inputOffset + i);
+			}
+			return records;
+		},
+
+		// Returns whether the parser holds values of a record that is not complete yet
+		isPartial: function() {
+			return vals.length > 0 || curVal !== "" || insideQuotes || escape || pending !== "";
+		},
+
+		// Returns the number of chars that were written up to the end of the last complete record
+		getCompleteLength: function() {
+			return completeLength;
+		}
+	};
+}
+
+function parseSample(sample, dialect, issues) {
+	// Parses the sample into an array of records, which are arrays of values, using the given
+	// dialect (see createParser). Remaining values after the last newline str are dropped, since
+	// that can be an incomplete line, unless no line is complete at all. If an array of issues is
+	// given, the issues of the records are added to it.
+	var dropped = null; // issues of the dropped values
+	var parser = createParser(dialect, issues ? function(issue) { (dropped || issues).push(issue); } : null);
+	var result = parser.write(sample, false);
+	if(result.length == 0) {
+		result = parser.write("", true);
+	} else if(issues && parser.isPartial()) {
+		// The dropped values can be an incomplete line, but not if a quote char that is not closed
+		// swallowed one or more lines. Then we keep the issues about its quote chars.
+		dropped = [];
+		parser.write("", true);
+		var swallowed = dropped.some(function(issue) {
+			return issue.kind == "unterminatedQuote" && sample.indexOf(dialect.newlineStr, issue.offset) > -1;
+		});
+		dropped.forEach(function(issue) {
+			if(swallowed && (issue.kind == "unterminatedQuote" || issue.kind == "strayQuote" || issue.kind == "swallowedLines")) {
+				issues.push(issue);
+			}
+		});
+	}
+	return result;
+}
+
+// The dialect that records are written in by default: comma separated, quoted with " (doubled inside
+// quoted values), and lines ending in \n
+var defaultDialect = { newlineStr: "\n", delimiter: ",", quoteChar: '"', doubleQuote: true, escapeChar: null };
+
+function createFormatter(dialect) {
+	// Creates a function that turns a record (an array of values, or an object keyed by the labels of the
+	// dialect) into a line of text, including the newline str. Values are only quoted when needed: if
+	// they contain the delimiter, the quote char, the escape char or a newline, if they would lose
+	// whitespace that the dialect skips or trims, or if the line would start with the comment char.
+	// Without a quote char, these characters are escaped with the escape char if there is one.
+	var options = {};
+	["newlineStr", "delimiter", "quoteChar", "doubleQuote", "escapeChar"].forEach(function(key) {
+		options[key] = dialect[key] !== undefined ? dialect[key] : defaultDialect[key];
+	});
+	var newlineStr = options.newlineStr;
+	var delimiter = options.delimiter || "";
+	var quotechar = options.quoteChar || null;
+	var escapeChar = options.escapeChar || null;
+	var doubleQuote = !!quotechar && (options.doubleQuote !== false || !escapeChar);
+	var trimmed = !!dialect.skipInitialSpace || !!dialect.trimTrailingSpace;
+	var commentChar = dialect.commentChar || null;
+	var labels = dialect.labels || null;
+
+	function contains(value, str) {
+		return !!str && value.indexOf(str) > -1;
+	}
+
+	function escape(value, chars) {
+		var result = "";
+		for(var i = 0; i < value.length; ++i) {
+			if(chars.some(function(c) { return !!c && value.substr(i, c.length) == c; })) {
+				result += escapeChar;
+			}
+			result += value.charAt(i);
+		}
+		return result;
+	}
+
+	function format(value, i) {
+		value = value === null || value === undefined ? "" : String(value);
+		var needsQuotes = contains(value, delimiter) || contains(value, quotechar) || contains(value, escapeChar) ||
+			/[\r\n]/.test(value) || contains(value, newlineStr) ||
+			(trimmed && /^[ \t]|[ \t]$/.test(value)) || (i == 0 && !!commentChar && value.indexOf(commentChar) == 0);
+		if(!needsQuotes) {
+			return value;
+		}
+		if(quotechar) {
+			var inner = doubleQuote ? value.split(quotechar).join(quotechar + quotechar) : escape(value, [escapeChar, quotechar]);
+			return quotechar + inner + quotechar;
+		}
+		if(escapeChar) {
+			return escape(value, [escapeChar, delimiter, newlineStr, "\r", "\n"]);
+		}
+		throw new Error("Value can not be written without a quote char or an escape char: " + JSON.stringify(value));
+	}
+
+	return function(record) {
+		if(!Array.isArray(record)) {
+			if(!labels) {
+				throw new Error("Records that are objects can only be written with labels");
+			}
+			record = labels.map(function(label) { return record[label]; });
+		}
+		return record.map(format).join(delimiter) + newlineStr;
+	};
+}
+
+function stringify(records, dialect) {
+	// Writes the records in the given dialect, preceded by the labels if the dialect has a header
+	dialect = dialect || {};
+	var formatter = createFormatter(dialect);
+	var lines = dialect.hasHeader && dialect.labels ? [formatter(dialect.labels.slice(0))] : [];
+	records.forEach(function(record) {
+		lines.push(formatter(record));
+	});
+	return lines.join("");
+}
+
+// Candidate number formats, in order of preference. A format consists of a decimal mark and an optional
+// character that groups the digits before the decimal mark in thousands.
+var numberFormatCandidates = [];
+[".", ","].forEach(function(decimalMark) {
+	[null, ",", ".", " ", "\u00a0", "\u202f", "'"].forEach(function(groupingChar) {
+		if(groupingChar != decimalMark) {
+			numberFormatCandidates.push({ decimalMark: decimalMark, groupingChar: groupingChar, suffix: null });
+		}
+	});
+});
+var numberSuffixRegex = /^(.*?\d)\s?(%|‰|€|\$|£|¥)$/; // percent, per mille and currency suffixes
+var numberRegexes = {};
+
+function isDefaultNumberFormat(numberFormat) {
+	return !numberFormat || (numberFormat.decimalMark == "." && !numberFormat.groupingChar && !numberFormat.suffix);
+}
+
+function matchesNumberFormat(value, numberFormat) {
+	// Checks if the value is a number in the given format, ignoring the suffix
+	var key = numberFormat.decimalMark + (numberFormat.groupingChar || "");
+	if(!numberRegexes.hasOwnProperty(key)) {
+		var escape = function(c) { return c.replace(/[-\/\\^$*+?.()|[\]{}]/g, "\\$&"); };
+		numberRegexes[key] = new RegExp(
+			"^[+-]?"													+ // Optional sign
+			"(?:" + (numberFormat.groupingChar ?
+				"\\d{1,3}(?:" + escape(numberFormat.groupingChar) + "\\d{3})+|" : "")	+ // Digits grouped in thousands
+			"\\d*)"														+ // or digits without grouping
+			"(?:" + escape(numberFormat.decimalMark) + "\\d*)?"		+ // Optional decimals
+			"(?:[eE][+-]?\\d+)?$"											  // Optional exponent
+		);
+	}
+	return /\d/.test(value) && numberRegexes[key].test(value);
+}
+
+function parseNumber(value, numberFormat) {
+	// Converts a value to a number using the given number format. Returns NaN if this is not possible.
+	if(isDefaultNumberFormat(numberFormat)) {
+		// isFinite also accepts hexadecimal, binary and octal literals like 0x1F, which are not decimal numbers
+		return isFinite(value) && !/[xXbBoO]/.test(value) ? Number(value) : NaN;
+	}
+	if(numberFormat.suffix) {
+		var match = numberSuffixRegex.exec(value);
+		if(match && match[2] == numberFormat.suffix) {
+			value = match[1];
+		}
+	}
+	if(value === "") {
+		return 0; // the same as isFinite does
+	}
+	if(!matchesNumberFormat(value, numberFormat)) {
+		return NaN;
+	}
+	if(numberFormat.groupingChar) {
+		value = value.split(numberFormat.groupingChar).join("");
+	}
+	return Number(value.replace(numberFormat.decimalMark, "."));
+}
+
+function guessNumberFormat(parsedSample) {
+	// Every value that looks like a number is matched against all candidate number formats. The format
+	// that matches the most values wins. Since values without decimal marks and grouping characters match
+	// every format, ties are common, in which case the most preferred format wins. Values that are
+	// numbers in a format after removing a suffix count for that suffix as well.
+	var counts = numberFormatCandidates.map(function() { return 0; });
+	var suffixCounters = {};
+	parsedSample && parsedSample.forEach(function(cols) {
+		cols.forEach(function(value) {
+			var match = numberSuffixRegex.exec(value);
+			var number = match ? match[1] : value;
+			var isNumber = false;
+			numberFormatCandidates.forEach(function(d, i) {
+				if(matchesNumberFormat(number, d)) {
+					++counts[i];
+					isNumber = true;
+				}
+			});
+			if(isNumber && match) {
+				suffixCounters[match[2]] = (suffixCounters[match[2]] || 0) + 1;
+			}
+		});
+	});
+
+	var winner = 0;
+	counts.forEach(function(d, i) {
+		if(d > counts[winner]) {
+			winner = i;
+		}
+	});
+	var suffixes = countersToCandidates(suffixCounters);
+	return {
+		decimalMark: numberFormatCandidates[winner].decimalMark,
+		groupingChar: numberFormatCandidates[winner].groupingChar,
+		suffix: suffixes.length > 0 ? suffixes[0].value : null
+	};
+}
+
+function getNumberShare(parsedSample, numberFormat) {
+	// Calculates the share of non-empty values in the sample that are numbers in the given number format
+	var nrValues = 0;
+	var nrNumbers = 0;
+	parsedSample.forEach(function(cols) {
+		cols.forEach(function(value) {
+			if(value === "") return;
+			++nrValues;
+			if(!isNaN(parseNumber(value, numberFormat))) {
+				++nrNumbers;
+			}
+		});
+	});
+	return nrValues > 0 ? nrNumbers / nrValues : 0;
+}
+
+// Temporal formats are built from the date and time patterns below. Every pattern token is replaced by
+// a regexp group, and the captured values are validated afterwards (e.g. month between 1 and 12). The
+// order of the date patterns determines which format is preferred when a column remains ambiguous
+// after all rows were seen.
+var datePatterns = ["YYYY-MM-DD", "YYYY/MM/DD", "DD-MM-YYYY", "MM-DD-YYYY", "DD/MM/YYYY", "MM/DD/YYYY", "DD.MM.YYYY"];
+var timePatterns = ["HH:mm:ss", "HH:mm"];
+var patternTokens = {
+	YYYY: { expr: "(\\d{4})", min: 0, max: 9999 },
+	MM: { expr: "(\\d{1,2})", min: 1, max: 12 },
+	DD: { expr: "(\\d{1,2})", min: 1, max: 31 },
+	HH: { expr: "(\\d{1,2})", min: 0, max: 23 },
+	mm: { expr: "(\\d{2})", min: 0, max: 59 },
+	ss: { expr: "(\\d{2})(?:\\.\\d+)?", min: 0, max: 60 }, // allow leap seconds and fractions
+	Z: { expr: "\\s?(?:Z|[+-]\\d{2}(?::?\\d{2})?)" }
+};
+
+function createTemporalFormat(type, pattern, base) {
+	// Translates a pattern into a format that can be matched against values. The base is the
+	// pattern of the narrower format that this format extends, e.g. the date part of a timestamp.
+	var tokens = [];
+	var expr = pattern.replace(/YYYY|MM|DD|HH|mm|ss|Z|[^A-Za-z]/g, function(token) {
+		if(!patternTokens.hasOwnProperty(token)) {
+			return token.replace(/[-\/\\^$*+?.()|[\]{}]/g, "\\$&");
+		}
+		if(patternTokens[token].min !== undefined) {
+			tokens.push(token);
+		}
+		return patternTokens[token].expr;
+	});
+	return {
+		type: type,
+		pattern: pattern,
+		base: base,
+		regex: new RegExp("^" + expr + "$"),
+		tokens: tokens
+	};
+}
+
+var temporalFormats = [];
+datePatterns.forEach(function(datePattern) {
+	temporalFormats.push(createTemporalFormat("date", datePattern, null));
+});
+timePatterns.forEach(function(timePattern) {
+	temporalFormats.push(createTemporalFormat("time", timePattern, null));
+});
+datePatterns.forEach(function(datePattern) {
+	[" ", "T"].forEach(function(separator) {
+		timePatterns.forEach(function(timePattern) {
+			var pattern = datePattern + separator + timePattern;
+			temporalFormats.push(createTemporalFormat("timestamp", pattern, datePattern));
+			temporalFormats.push(createTemporalFormat("timestamptz", pattern + "Z", pattern));
+		});
+	});
+});
+
+var temporalFormatsByPattern = {};
+temporalFormats.forEach(function(d) {
+	temporalFormatsByPattern[d.pattern] = d;
+});
+
+function matchesTemporalFormat(value, format) {
+	var match = format.regex.exec(value);
+	if(!match) {
+		return false;
+	}
+	var parts = {};
+	var valid = format.tokens.every(function(token, i) {
+		var v = parseInt(match[i+1], 10);
+		parts[token] = v;
+		return v >= patternTokens[token].min && v <= patternTokens[token].max;
+	});
+	if(valid && parts.DD !== undefined) {
+		// check the day against the number of days in the month, using a leap year if the year is unknown
+		var date = new Date(Date.UTC(2000, 0, 1));
+		date.setUTCFullYear(parts.YYYY !== undefined ? parts.YYYY : 2000, parts.MM, 0); // day 0 is the last day of the previous month
+		valid = parts.DD <= date.getUTCDate();
+	}
+	return valid;
+}
+
+function formatExtends(format, pattern) {
+	// Checks whether the given format equals, or is a widened version of, the format with the given pattern
+	while(format) {
+		if(format.pattern == pattern) {
+			return true;
+		}
+		format = format.base ? temporalFormatsByPattern[format.base] : null;
+	}
+	return false;
+}
+
+// Single letters (t/f, y/n) are no booleans, since they are at least as likely to be codes or initials
+var booleanValues = ["true", "false", "yes", "no"];
+var uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+var temporalRegex = /^[\d\-\/.: T+Z]+$/; // quick check to prevent testing every format on every value
+
+// Every type maps to the types it can be widened to, from narrow to wide. Widening two types
+// results in the first type that both types can be widened to. Everything widens to string.
+var typeWidening = {
+	"integer": ["integer", "float"],
+	"float": ["float"],
+	"boolean": ["boolean"],
+	"uuid": ["uuid"],
+	"date": ["date", "timestamp", "timestamptz"],
+	"time": ["time"],
+	"timestamp": ["timestamp", "timestamptz"],
+	"timestamptz": ["timestamptz"],
+	"string": []
+};
+
+function createTypeSystem(customTypes) {
+	// Combines the built-in types with custom types, which are objects with a name, a test function
+	// for values, the types that they widen to (besides string) and a priority. Custom types with a
+	// priority above 0 are tested before the built-in types, the others only for values that would
+	// otherwise be strings, both from the highest priority to the lowest. A custom type widens to the
+	// types it names, and to the types that those widen to.
+	var widening = {};
+	for(var type in typeWidening) {
+		widening[type] = typeWidening[type];
+	}
+	customTypes.forEach(function(d) {
+		var chain = [d.name];
+		d.widensTo.forEach(function(type) {
+			if(!widening.hasOwnProperty(type)) {
+				throw new Error("Unknown type: " + type);
+			}
+			widening[type].forEach(function(wider) {
+				if(chain.indexOf(wider) == -1) {
+					chain.push(wider);
+				}
+			});
+		});
+		widening[d.name] = chain;
+	});
+	var sorted = customTypes.slice(0).sort(function(a, b) { return b.priority - a.priority; });
+	return {
+		before: sorted.filter(function(d) { return d.priority > 0; }),
+		after: sorted.filter(function(d) { return d.priority <= 0; }),
+		widening: widening
+	};
+}
+
+var defaultTypeSystem = createTypeSystem([]);
+
+function findCustomType(value, customTypes) {
+	var found = null;
+	customTypes.some(function(d) {
+		if(d.test(value)) {
+			found = d.name;
+			return true;
+		}
+		return false;
+	});
+	return found;
+}
+
+function widenType(typeA, typeB, typeSystem) {
+	var widening = (typeSystem || defaultTypeSystem).widening;
+	var widenA = widening[typeA] || [];
+	var widenB = widening[typeB] || [];
+	var type = "string";
+	widenA.some(function(d) {
+		if(widenB.indexOf(d) > -1) {
+			type = d;
+			return true;
+		}
+		return false;
+	});
+	return type;
+}
+
+function detectType(value, numberFormat, typeSystem) {
+	// Determines the most specific type of a single value. For temporal types, all formats
+	// that match the value are returned as well.
+	typeSystem = typeSystem || defaultTypeSystem;
+	var custom = findCustomType(value, typeSystem.before);
+	if(custom) {
+		return { type: custom, formats: null };
+	}
+	var number = parseNumber(value, numberFormat);
+	if(!isNaN(number) && !/^[+-]?0\d/.test(value)) { // codes with leading zeros (e.g. 007) are no numbers
+		return { type: number%1 !== 0 ? "float" : "integer", formats: null };
+	}
+	if(booleanValues.indexOf(value.toLowerCase()) > -1) {
+		return { type: "boolean", formats: null };
+	}
+	if(uuidRegex.test(value)) {
+		return { type: "uuid", formats: null };
+	}
+	if(temporalRegex.test(value)) {
+		var formats = temporalFormats.filter(function(d) {
+			return matchesTemporalFormat(value, d);
+		});
+		if(formats.length > 0) {
+			// formats of different types can not match the same value, so the first one determines the type
+			return { type: formats[0].type, formats: formats };
+		}
+	}
+	return { type: findCustomType(value, typeSystem.after) || "string", formats: null };
+}
+
+function accumulateType(curValue, curState, numberFormat, typeSystem) {
+	// Accumulates a value into the type state of a column. The state consists of the type of the
+	// column and, for temporal types, a list of the formats that match every value seen so far.
+	// A state of null means that no values were seen yet.
+	if(curState && curState.type == "string") return curState; //can't get worse than string
+
+	var valueState = detectType(curValue, numberFormat, typeSystem);
+	if(!curState) return valueState;
+
+	var type = widenType(curState.type, valueState.type, typeSystem);
+	if(!valueState.formats || type == "string") {
+		return { type: type, formats: null };
+	}
+
+	// Keep the formats of the widest type that are compatible with the formats of both states
+	var curFormats = curState.formats || temporalFormats.filter(function(d) { return d.type == curState.type; });
+	var wideFormats = curState.type == type ? curFormats : valueState.formats;
+	var narrowFormats = curState.type == type ? valueState.formats : curFormats;
+	var formats = wideFormats.filter(function(d) {
+		return d.type == type && narrowFormats.some(function(f) { return formatExtends(d, f.pattern); });
+	});
+	if(formats.length == 0) {
+		// the values do not share a format, so the best we can do is string
+		return { type: "string", formats: null };
+	}
+	return { type: type, formats: formats };
+}
+
+function getAccumulatedType(curValue, curType, numberFormat, typeSystem) {
+    // Note: If curType is null or undefined, this function will return the actual type of
+    // curValue
+    var state = accumulateType(curValue, curType ? { type: curType, formats: null } : null, numberFormat, typeSystem);
+    return state.type;
+}
+
+function getFormat(state) {
+	// Returns the preferred pattern of the formats that are left in a type state, or null for non-temporal types
+	return state && state.formats ? state.formats[0].pattern : null;
+}
+
+function getNumberDigits(value, numberFormat) {
+	// Counts the digits of a number before the decimal mark (without leading zeros) and after it, and
+	// returns the digits before the decimal mark as well
+	var decimalMark = numberFormat ? numberFormat.decimalMark : ".";
+	if(numberFormat && numberFormat.suffix) {
+		var match = numberSuffixRegex.exec(value);
+		if(match && match[2] == numberFormat.suffix) {
+			value = match[1];
+		}
+	}
+	if(numberFormat && numberFormat.groupingChar) {
+		value = value.split(numberFormat.groupingChar).join("");
+	}
+	var parts = value.trim().replace(/^[+-]/, "").split(/[eE]/);
+	var mantissa = parts[0].split(decimalMark);
+	var integer = mantissa[0].replace(/^0+/, "");
+	return {
+		integer: integer,
+		integerDigits: integer.length,
+		scale: mantissa.length > 1 ? mantissa[1].length : 0,
+		exponent: parts.length > 1
+	};
+}
+
+function compareDigits(a, b) {
+	// Compares two strings of digits without leading zeros as numbers, also beyond the precision of doubles
+	return (a.length - b.length) || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+function accumulateSize(curValue, curSize, numberFormat) {
+	// Accumulates a value into the size of a column: the range of its numbers, the digits of the
+	// largest integer part (which is exact, unlike the range), the maximum number of digits before
+	// and after the decimal mark, and the statistics of the lengths of its values (the
+	// number of values, their shortest and longest length, and the sum of their lengths and of their
+	// squares). A size of null means that no values were seen yet.
+	var length = curValue.length;
+	var size = {
+		min: curSize ? curSize.min : null,
+		max: curSize ? curSize.max : null,
+		largestInteger: curSize ? curSize.largestInteger : "",
+		integerDigits: curSize ? curSize.integerDigits : 0,
+		scale: curSize ? curSize.scale : 0,
+		exponent: curSize ? curSize.exponent : false,
+		count: (curSize ? curSize.count : 0) + 1,
+		minLength: curSize ? Math.min(curSize.minLength, length) : length,
+		maxLength: curSize ? Math.max(curSize.maxLength, length) : length,
+		totalLength: (curSize ? curSize.totalLength : 0) + length,
+		totalSquaredLength: (curSize ? curSize.totalSquaredLength : 0) + length * length
+	};
+	var number = parseNumber(curValue, numberFormat);
+	if(!isNaN(number) && curValue !== "") {
+		var digits = getNumberDigits(curValue, numberFormat);
+		size.min = size.min === null ? number : Math.min(size.min, number);
+		size.max = size.max === null ? number : Math.max(size.max, number);
+		if(compareDigits(digits.integer, size.largestInteger) > 0) {
+			size.largestInteger = digits.integer;
+		}
+		size.integerDigits = Math.max(size.integerDigits, digits.integerDigits);
+		size.scale = Math.max(size.scale, digits.scale);
+		size.exponent = size.exponent || digits.exponent;
+	}
+	return size;
+}
+
+// Integer types from narrow to wide, with the digits of the largest value they can hold, since the
+// largest values are beyond the precision of doubles. The smallest value is -max, since some databases
+// (e.g. MonetDB) use -max - 1 as null.
+var integerTypes = [
+	{ type: "tinyint", max: "127" },
+	{ type: "smallint", max: "32767" },
+	{ type: "int", max: "2147483647" },
+	{ type: "bigint", max: "9223372036854775807" },
+	{ type: "hugeint", max: "170141183460469231731687303715884105727" }
+];
+var maxDecimalPrecision = 38;
+var maxDecimalScale = 4; // more decimals are more likely measurements than amounts
+
+function refineType(type, size) {
+	// Refines a type using the size of the column: integers get the narrowest integer type that holds
+	// their range, floats become a decimal with a precision and scale if they have few enough decimals
+	// (and no exponent), and strings a varchar with the length of the longest value.
+	if(!size) {
+		return { type: type };
+	}
+	if(type == "integer" && size.min !== null) {
+		// the range is symmetric, so the largest integer part tells (values with an exponent have no exact digits)
+		var integerType = size.exponent ? null : integerTypes.filter(function(d) {
+			return compareDigits(size.largestInteger, d.max) <= 0;
+		})[0];
+		if(integerType) {
+			return { type: integerType.type, min: size.min, max: size.max };
+		}
+		type = "float"; // too wide for any integer type
+	}
+	if(type == "float" && size.min !== null) {
+		var precision = Math.max(size.integerDigits + size.scale, 1);
+		if(!size.exponent && size.scale <= maxDecimalScale && precision <= maxDecimalPrecision) {
+			return { type: "decimal", precision: precision, scale: size.scale };
+		}
+		return { type: "double" };
+	}
+	if(type == "string") {
+		return { type: "varchar", length: size.maxLength };
+	}
+	return { type: type };
+}
+
+// Values that often stand for a missing value. The unambiguous ones are nulls wherever they occur,
+// the ambiguous ones only in columns whose other values are not strings (NA can be a country code).
+var nullTokenCandidates = ["", "NULL", "null", "\\N"];
+var ambiguousNullTokens = ["NA", "N/A", "n/a", "#N/A", "-", "None", "none", "nil"];
+
+function findNullTokens(parsedSample, numberFormat, typeSystem, givenTokens) {
+	// Returns for every column the tokens that act as nulls in it, most frequent first. Only the rows
+	// after the first one are used, since the first one can be a header. Given tokens are nulls in
+	// every column in which they occur.
+	var nrColumns = parsedSample.length > 0 ? parsedSample[0].length : 0;
+	var counters = [];
+	var states = [];
+	for(var i = 0; i < nrColumns; ++i) {
+		counters.push({});
+		states.push(null);
+	}
+	parsedSample.forEach(function(cols, rowIndex) {
+		if(rowIndex == 0 || cols.length != nrColumns) return;
+		cols.forEach(function(col, colIndex) {
+			var isCandidate = givenTokens ? givenTokens.indexOf(col) > -1 :
+				nullTokenCandidates.indexOf(col) > -1 || ambiguousNullTokens.indexOf(col) > -1;
+			if(isCandidate) {
+				counters[colIndex][col] = (counters[colIndex][col] || 0) + 1;
+			} else {
+				states[colIndex] = accumulateType(col, states[colIndex], numberFormat, typeSystem);
+			}
+		});
+	});
+	return counters.map(function(counter, i) {
+		return countersToCandidates(counter).map(function(d) { return d.value; }).filter(function(token) {
+			return givenTokens || nullTokenCandidates.indexOf(token) > -1 || (states[i] !== null && states[i].type != "string");
+		});
+	});
+}
+
+function isNullToken(value, nullTokens, colIndex) {
+	return !!nullTokens && !!nullTokens[colIndex] && nullTokens[colIndex].indexOf(value) > -1;
+}
+
+function getTypes(parsedSample, numberFormat, typeSystem, nullTokens) {
+	// Parses all lines in the lines array and determines the type of all the columns. The null tokens
+	// of every column (see findNullTokens) are left out, except in the first row, which can be a header.
+	// Returns three arrays of type states (see accumulateType):
+	// - Types considering all rows
+	// - Types considering all but the first row
+	// - Types considering only the first row
+	// and the sizes of the columns (see accumulateSize), considering all rows and all but the first row.
+
+    var firstValues = null; // used to calculate the all array in the end
+    var first = [];
+    var tail = [];
+    var all = null; // will be calculated in the end
+    var tailSizes = [];
+
+    parsedSample && parsedSample.forEach(function(cols, i) {
+    	if(i == 0) {
+    		firstValues = cols;
+    		cols.forEach(function(col) {
+    			first.push(accumulateType(col, null, numberFormat, typeSystem));
+    			tail.push(null);
+    			tailSizes.push(null);
+    		});
+    		return;
+    	}
+    	if(cols.length != first.length) {
+    		// do not use lines that have not the same number of columns as the header,
+    		// since it might steer us into wrong conclusions. We just pray that the
+    		// first row of the file (header row) does not contain some weird number of 
+    		// columns that differs from all other rows.
+    		return;
+    	}
+		cols.forEach(function(col, colIndex) {
+			if(isNullToken(col, nullTokens, colIndex)) return;
+			tail[colIndex] = accumulateType(col, tail[colIndex], numberFormat, typeSystem);
+			tailSizes[colIndex] = accumulateSize(col, tailSizes[colIndex], numberFormat);
+    	});
+    });
+
+    all = tail.slice(0); //copy and accumulate using the first values
+    var allSizes = tailSizes.slice(0);
+    firstValues && firstValues.forEach(function(col, i) {
+    	if(isNullToken(col, nullTokens, i)) return;
+    	all[i] = accumulateType(col, all[i], numberFormat, typeSystem);
+    	allSizes[i] = accumulateSize(col, allSizes[i], numberFormat);
+    });
+
+    // Columns without any values are treated as the narrowest type
+    function orNarrowest(d) { return d || { type: "integer", formats: null }; }
+    tail = tail.map(orNarrowest);
+    all = all.map(orNarrowest);
+
+    return {
+    	first: first,
+    	tail: tail,
+    	all: all,
+    	sizes: { tail: tailSizes, all: allSizes }
+    };
+}
+
+function hasHeader(parsedSample, numberFormat, typeSystem, nullTokens) {
+	// Figures out the types of data in each column. If any
+    // column is of a single type (say, integers), *except* for the first
+    // row, then the first row is presumed to be labels. If the type
+    // can't be determined, it is assumed to be a string in which case
+    // the length of the string is the determining factor: if all of the
+    // rows except for the first are the same length, it's a header.
+    // Finally, a 'vote' is taken at the end for each column, adding or
+    // subtracting from the likelihood of the first row being a header.
+ 
+ 	// The possible header is the first row. Like in getTypes, only rows with the same number of
+ 	// columns count as the other rows.
+ 	var firstValues = parsedSample && parsedSample.length > 0 ? parsedSample[0] : null;
+    var nrTailRows = firstValues ? parsedSample.filter(function(cols, i) {
+    	return i > 0 && cols.length == firstValues.length;
+    }).length : 0;
+
+    var types = getTypes(parsedSample, numberFormat, typeSystem, nullTokens);
+	// All types and lengths (in the sizes of the other rows) are known, let every col bring out a vote.
+	// Whenever the type of the header col differs from the type of the rest of
+	// the column (and type of first row is string), this vote is +2. This includes
+	// columns with dates, booleans, etc., since their labels are strings. Otherwise, we use the length
+	// statistics to calculate the average and the standard deviation of these
+	// lengths. The vote then depends on how close/far it is from the 
+	// average. Close to average means negative vote, far from average means positive
+	// vote.
+	// Every vote is kept with its reason, to explain the outcome (see the explain option of sniff).
+	// The reasons never contain values of the sample.
+	var votesFor = 0;
+	var votesAgainst = 0;
+	var votes = [];
+	firstValues && firstValues.forEach(function(col, i) {
+		function vote(weight, reason) {
+			if(weight > 0) {
+				votesFor += weight;
+			} else {
+				votesAgainst -= weight;
+			}
+			votes.push({ column: i + 1, vote: weight, reason: reason });
+		}
+		if(isNullToken(col, nullTokens, i)) {
+			// labels are not nulls
+			return vote(-1, "The first value is a null token");
+		}
+		if(nrTailRows == 0) {
+			// without other rows, only the types tell, and labels are strings
+			return types.first[i].type == "string" && col !== "" ?
+				vote(1, "There are no other rows, and the first value is a string") :
+				vote(-1, "There are no other rows, and the first value is not a string");
+		}
+		if(types.first[i].type != types.tail[i].type && types.first[i].type == "string") {
+			// Yup, first row has different type
+			return vote(2, "The first value is a string, the other values are " + types.tail[i].type);
+		}
+		var size = types.sizes.tail[i];
+		if(!size && nullTokens && nullTokens[i] && nullTokens[i].length > 0) {
+			// the rest of the column only has nulls, so a value in the first row is most likely a label
+			return vote(1, "The other values are all nulls");
+		}
+		var avg = size ? size.totalLength / size.count : NaN;
+		var sd = size ? Math.max(size.totalSquaredLength / size.count - avg * avg, 0) : NaN;
+
+		// If the header has a length that deviates a lot from the columns, we vote +1.
+		// Otherwise, we vote -1
+		var tolerance = 2 * sd;
+
+		var lengths = "The length of the first value (" + col.length + ") is " +
+			(Math.abs(col.length - avg) > tolerance ? "far from" : "close to") + " the average length (" +
+			avg.toFixed(2) + ", with tolerance " + tolerance.toFixed(2) + ")";
+		if(Math.abs(col.length - avg) > tolerance) {
+			vote(1, lengths);
+		} else {
+			vote(-1, lengths);
+		}
+	});
+
+	// We are done calculating stuff. Return the types that we found and whether or not
+	// we think this sample contains a header. The share of the votes is used as the score of
+	// both possible outcomes.
+	var hasHeader = votesFor > votesAgainst;
+	var totalVotes = votesFor + votesAgainst;
+	var scoreFor = totalVotes > 0 ? votesFor / totalVotes : 0;
+	return {
+		types: types[hasHeader ? 'tail' : 'all'],
+		sizes: types.sizes[hasHeader ? 'tail' : 'all'],
+		hasHeader: hasHeader,
+		candidates: [
+			{ value: hasHeader, score: hasHeader ? scoreFor : 1 - scoreFor },
+			{ value: !hasHeader, score: hasHeader ? 1 - scoreFor : scoreFor }
+		],
+		trace: { votesFor: votesFor, votesAgainst: votesAgainst, votes: votes }
+	};
+}
+
+function getSizes(records, nrColumns, numberFormat, nullTokens) {
+	// Collects the sizes of the columns (see accumulateSize) when their types are known already, e.g.
+	// from a schema. Like in getTypes, records with another number of columns and null tokens are left out.
+	var sizes = [];
+	for(var i = 0; i < nrColumns; ++i) {
+		sizes.push(null);
+	}
+	records.forEach(function(cols) {
+		if(cols.length != nrColumns) return;
+		cols.forEach(function(col, colIndex) {
+			if(isNullToken(col, nullTokens, colIndex)) return;
+			sizes[colIndex] = accumulateSize(col, sizes[colIndex], numberFormat);
+		});
+	});
+	return sizes;
+}
+
+function getTemporalKey(value, pattern) {
+	// Returns a key that sorts the values of a temporal format in time order (ignoring time zones),
+	// or null if the value does not match the format or one of the formats it extends
+	var format = temporalFormatsByPattern[pattern];
+	var match = null;
+	while(format && !(match = format.regex.exec(value))) {
+		format = format.base ? temporalFormatsByPattern[format.base] : null;
+	}
+	if(!match) {
+		return null;
+	}
+	var parts = {};
+	format.tokens.forEach(function(token, i) {
+		parts[token] = match[i+1];
+	});
+	return ["YYYY", "MM", "DD", "HH", "mm", "ss"].map(function(token) {
+		return ("0000" + (parts[token] || "0")).slice(-4);
+	}).join("");
+}
+
+function getProfiles(records, types, formats, numberFormat, nullTokens, sizes) {
+	// Collects statistics of every column in a single pass over the records. Empty values and the
+	// null tokens of the column are counted as nulls, and left out of all other statistics. The min and max are numbers for
+	// numeric columns, values for temporal columns (compared in time order), and null otherwise.
+	// The lengths are taken from the sizes that were collected along with the types (see getTypes).
+	var maxExamples = 3;
+	var states = types.map(function(type, i) {
+		var size = sizes && sizes[i];
+		return {
+			profile: {
+				nullCount: 0,
+				distinctCount: 0,
+				min: null,
+				max: null,
+				minLength: size ? size.minLength : null,
+				maxLength: size ? size.maxLength : null,
+				avgLength: size ? size.totalLength / size.count : null,
+				examples: []
+			},
+			distinct: Object.create(null),
+			minKey: null,
+			maxKey: null
+		};
+	});
+	records.forEach(function(cols) {
+		states.forEach(function(state, i) {
+			if(i >= cols.length) return;
+			var value = cols[i];
+			var profile = state.profile;
+			if(value === "" || isNullToken(value, nullTokens, i)) {
+				++profile.nullCount;
+				return;
+			}
+			if(!state.distinct[value]) {
+				state.distinct[value] = true;
+				++profile.distinctCount;
+				if(profile.examples.length < maxExamples) {
+					profile.examples.push(value);
+				}
+			}
+
+			var key = null;
+			if(types[i] == "integer" || types[i] == "float") {
+				key = parseNumber(value, numberFormat);
+				key = isNaN(key) ? null : key;
+			} else if(formats[i]) {
+				key = getTemporalKey(value, formats[i]);
+			}
+			if(key === null) return;
+			if(state.minKey === null || key < state.minKey) {
+				state.minKey = key;
+				profile.min = typeof key == "number" ? key : value;
+			}
+			if(state.maxKey === null || key > state.maxKey) {
+				state.maxKey = key;
+				profile.max = typeof key == "number" ? key : value;
+			}
+		});
+	});
+	return states.map(function(state) {
+		return state.profile;
+	});
+}
+
+function toBuffer(chunk) {
+	if(Buffer.isBuffer(chunk)) {
+		return chunk;
+	}
+	if(typeof chunk == "string") {
+		return Buffer.from(chunk);
+	}
+	return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength); // Uint8Array
+}
+
+// Windows-1252 equals Latin-1, except for the bytes 0x80 to 0x9F, which map to these code points
+var windows1252 = [
+	0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021, 0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+	0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178
+];
+var encodingAliases = {
+	"utf8": "utf-8", "utf-8": "utf-8",
+	"utf16le": "utf-16le", "utf-16le": "utf-16le", "ucs2": "utf-16le", "ucs-2": "utf-16le",
+	"utf16be": "utf-16be", "utf-16be": "utf-16be",
+	"windows-1252": "windows-1252", "cp1252": "windows-1252",
+	"latin1": "latin1", "iso-8859-1": "latin1", "binary": "latin1"
+};
+var byteOrderMarks = [
+	{ encoding: "utf-8", bytes: [0xef, 0xbb, 0xbf] },
+	{ encoding: "utf-16le", bytes: [0xff, 0xfe] },
+	{ encoding: "utf-16be", bytes: [0xfe, 0xff] }
+];
+
+function normalizeEncoding(encoding) {
+	// Other encodings that Node supports (e.g. ascii) are decoded by Node itself
+	var normalized = encodingAliases[String(encoding).toLowerCase()];
+	if(!normalized) {
+		if(!Buffer.isEncoding(encoding)) {
+			throw new Error("Unsupported encoding: " + encoding);
+		}
+		normalized = String(encoding).toLowerCase();
+	}
+	return normalized;
+}
+
+function isValidUTF8(bytes) {
+	// Checks if the bytes are valid UTF-8, allowing a sequence at the end to be cut off
+	var i = 0;
+	while(i < bytes.length) {
+		var b = bytes[i];
+		var length = b < 0x80 ? 1 : (b & 0xe0) == 0xc0 ? 2 : (b & 0xf0) == 0xe0 ? 3 : (b & 0xf8) == 0xf0 ? 4 : 0;
+		if(length == 0 || (length == 2 && b < 0xc2)) {
+			return false; // continuation byte without a start byte, or an overlong encoding
+		}
+		for(var j=1; j<length && i+j < bytes.length; ++j) {
+			if((bytes[i+j] & 0xc0) != 0x80) {
+				return false;
+			}
+		}
+		i += length;
+	}
+	return true;
+}
+
+function detectEncoding(bytes) {
+	// Detects the encoding of the bytes. A byte order mark decides, otherwise we look at byte statistics:
+	// UTF-16 text in a Latin script has a zero byte in (almost) every other position, and text that is not
+	// valid UTF-8 is taken to be Windows-1252 (which is also fine for Latin-1).
+	var bom = null;
+	byteOrderMarks.some(function(d) {
+		if(d.bytes.every(function(b, i) { return bytes[i] === b; })) {
+			bom = d;
+			return true;
+		}
+		return false;
+	});
+	if(bom) {
+		return { encoding: bom.encoding, hasBOM: true };
+	}
+
+	var length = Math.min(bytes.length, 4096) & ~1;
+	var evenZeros = 0;
+	var oddZeros = 0;
+	for(var i=0; i<length; ++i) {
+		if(bytes[i] === 0) {
+			if(i % 2 == 0) ++evenZeros;
+			else           ++oddZeros;
+		}
+	}
+	var threshold = 0.3 * length / 2;
+	if(oddZeros > threshold && evenZeros < oddZeros / 10) {
+		return { encoding: "utf-16le", hasBOM: false };
+	}
+	if(evenZeros > threshold && oddZeros < evenZeros / 10) {
+		return { encoding: "utf-16be", hasBOM: false };
+	}
+	return { encoding: isValidUTF8(bytes) ? "utf-8" : "windows-1252", hasBOM: false };
+}
+
+function createDecoder(encoding) {
+	// Creates an object that decodes chunks of bytes into strings in the given encoding. Characters
+	// that are split across chunks are decoded when the rest of their bytes arrive, and a byte order mark
+	// at the start is removed.
+	encoding = normalizeEncoding(encoding);
+	var decoder = null;
+	var oddByte = null; // for UTF-16BE, the byte that is left after swapping the bytes of a chunk
+	var atStart = true;
+	if(encoding == "utf-8" || encoding == "utf-16le" || encoding == "utf-16be") {
+		decoder = new StringDecoder(encoding == "utf-8" ? "utf8" : "utf16le");
+	} else if(encoding != "windows-1252" && encoding != "latin1") {
+		decoder = new StringDecoder(encoding);
+	}
+
+	function decode(bytes) {
+		if(encoding == "utf-16be") {
+			// swap the bytes of every pair, so that it can be decoded as UTF-16LE
+			if(oddByte !== null) {
+				bytes = Buffer.concat([Buffer.from([oddByte]), bytes]);
+				oddByte = null;
+			}
+			if(bytes.length % 2 == 1) {
+				oddByte = bytes[bytes.length - 1];
+				bytes = bytes.slice(0, bytes.length - 1);
+			}
+			var swapped = Buffer.alloc(bytes.length);
+			for(var i=0; i<bytes.length; i+=2) {
+				swapped[i] = bytes[i+1];
+				swapped[i+1] = bytes[i];
+			}
+			bytes = swapped;
+		}
+		if(decoder) {
+			return decoder.write(bytes);
+		}
+		var text = "";
+		for(var i=0; i<bytes.length; i+=8192) {
+			var codes = [];
+			for(var j=i; j<Math.min(i+8192, bytes.length); ++j) {
+				var b = bytes[j];
+				codes.push(encoding == "windows-1252" && b >= 0x80 && b <= 0x9f ? windows1252[b - 0x80] : b);
+			}
+			text += String.fromCharCode.apply(null, codes);
+		}
+		return text;
+	}
+
+	function stripBOM(text) {
+		if(atStart && text.length > 0) {
+			atStart = false;
+			if(text.charAt(0) == "\ufeff") {
+				return text.substring(1);
+			}
+		}
+		return text;
+	}
+
+	return {
+		write: function(bytes) {
+			return stripBOM(decode(toBuffer(bytes)));
+		},
+		end: function() {
+			return stripBOM(decoder ? decoder.end() : "");
+		}
+	};
+}
+
+function decodeSample(sample, encoding) {
+	// Decodes a sample of bytes, using the given encoding or else the detected one. Strings are
+	// only stripped of a byte order mark.
+	if(typeof sample == "string") {
+		var hasBOM = sample.charAt(0) == "\ufeff";
+		return { text: hasBOM ? sample.substring(1) : sample, encoding: null, hasBOM: hasBOM };
+	}
+	var bytes = toBuffer(sample);
+	var detected = detectEncoding(bytes);
+	if(encoding) {
+		encoding = normalizeEncoding(encoding);
+		detected.hasBOM = detected.hasBOM && detected.encoding == encoding;
+		detected.encoding = encoding;
+	}
+	// the decoder strips any BOM, but it does not flush a character that is cut off at the end of the sample
+	var decoder = createDecoder(detected.encoding);
+	return { text: decoder.write(bytes), encoding: detected.encoding, hasBOM: detected.hasBOM };
+}
+
+// Signatures of binary files that are often given instead of a CSV file
+var binarySignatures = [
+	{ name: "a ZIP archive (e.g. an Excel workbook)", bytes: [0x50, 0x4b, 0x03, 0x04] },
+	{ name: "an old Excel workbook", bytes: [0xd0, 0xcf, 0x11, 0xe0] },
+	{ name: "a gzip file", bytes: [0x1f, 0x8b] },
+	{ name: "a PDF document", bytes: [0x25, 0x50, 0x44, 0x46] },
+	{ name: "a PNG image", bytes: [0x89, 0x50, 0x4e, 0x47] }
+];
+var formatNames = { json: "JSON", jsonl: "JSON Lines", xml: "XML", html: "HTML", binary: "binary data" };
+
+function isJSON(str) {
+	try {
+		JSON.parse(str);
+		return true;
+	} catch(err) {
+		return false;
+	}
+}
+
+function classifySample(sample, text) {
+	// Recognizes samples that are clearly not delimited text, so that we do not detect a bogus dialect
+	// in them. Returns an object with the format and the reason, or null if the sample can be delimited text.
+	var maxLength = 4096; // the start of the sample is enough to tell
+	var maxLines = 20;
+	if(typeof sample != "string") {
+		var bytes = toBuffer(sample);
+		var signature = binarySignatures.filter(function(d) {
+			return d.bytes.every(function(b, i) { return bytes[i] === b; });
+		})[0];
+		if(signature) {
+			return { format: "binary", reason: "The sample starts like " + signature.name };
+		}
+	}
+	var head = text.substring(0, maxLength);
+	// Some control chars are used as delimiters (\x01 by Hive, \x1c to \x1f are separators), but text never has nulls
+	var nrControlChars = (head.match(/[\x02-\x08\x0e-\x1b\ufffd]/g) || []).length;
+	if(head.indexOf("\x00") > -1) {
+		return { format: "binary", reason: "The sample contains null characters" };
+	}
+	if(nrControlChars > head.length / 10) {
+		return { format: "binary", reason: nrControlChars + " of the first " + head.length + " characters are control characters" };
+	}
+
+	// Only a sample that is confirmed to be in another format is rejected: a line can start with a
+	// tag or a brace in delimited text as well, e.g. <b>bold</b>,x or {id},name
+	var start = head.replace(/^\s+/, "");
+	if(/^<(!doctype\s+html|html)[\s>]/i.test(start)) {
+		return { format: "html", reason: "The sample starts with an HTML document" };
+	}
+	if(/^<\?xml[\s?]/.test(start)) {
+		return { format: "xml", reason: "The sample starts with an XML declaration" };
+	}
+	var root = /^<([A-Za-z_][\w:.-]*)[\s>\/]/.exec(start);
+	if(root && new RegExp("</" + root[1].replace(/\./g, "\\.") + ">\\s*$").test(text)) {
+		return { format: "xml", reason: "The sample is enclosed in an XML root element" };
+	}
+	var lines = text.split(/\r\n|\n|\r/);
+	if(lines.length > 1) {
+		lines.pop(); // the last line can be incomplete
+	}
+	lines = lines.filter(function(line) { return /\S/.test(line); }).slice(0, maxLines);
+	if(lines.length > 1 && lines.every(function(line) { return /^\s*[\{\[]/.test(line) && isJSON(line); })) {
+		return { format: "jsonl", reason: "Every line is a JSON value" };
+	}
+	if(/^[\{\[]/.test(start) && isJSON(text)) {
+		return { format: "json", reason: "The sample is a JSON " + (start.charAt(0) == "{" ? "object" : "array") };
+	}
+	return null;
+}
+
+function getByteLength(text, encoding) {
+	// Returns the number of bytes of the text in the given encoding, or in UTF-8 if there is none
+	var bytesPerChar = { "utf-16le": 2, "utf-16be": 2, "windows-1252": 1, "latin1": 1 }[encoding];
+	return bytesPerChar ? text.length * bytesPerChar : Buffer.byteLength(text, encoding || "utf8");
+}
+
+function toByteOffsets(issues, text, encoding, hasBOM) {
+	// Converts the offsets of the issues (in chars of the decoded text) to offsets in bytes of the
+	// sample, including the byte order mark. String samples are taken to be encoded as UTF-8.
+	// Issues are in the order of their offsets.
+	var bomLength = hasBOM ? getByteLength("\ufeff", encoding) : 0;
+	var charOffset = 0;
+	var byteOffset = 0;
+	issues.forEach(function(issue) {
+		byteOffset += getByteLength(text.substring(charOffset, issue.offset), encoding);
+		charOffset = issue.offset;
+		issue.offset = bomLength + byteOffset;
+	});
+	return issues;
+}
+
+function readBlock(fd, start, length) {
+	// Returns a promise for the bytes of a file at the given position
+	return new Promise(function(resolve, reject) {
+		var buffer = Buffer.alloc(length);
+		fs.read(fd, buffer, 0, length, start, function(err, bytesRead) {
+			if(err) {
+				return reject(err);
+			}
+			resolve(buffer.slice(0, bytesRead));
+		});
+	});
+}
+
+function alignBlock(text, dialect, nrColumns) {
+	// Finds the records in a block of text that was read from somewhere in a file. The block can start
+	// in the middle of a record, or even of a quoted field, so we try to start after each of the first
+	// newline strs, until the records that follow have the expected number of values. Returns the
+	// offsets of the start and the end of the complete records, or null if no start was found.
+	var maxAttempts = 20;
+	var nrChecked = 5;
+	var start = 0;
+	for(var attempt = 0; attempt < maxAttempts; ++attempt) {
+		start = text.indexOf(dialect.newlineStr, start);
+		if(start == -1) {
+			return null;
+		}
+		start += dialect.newlineStr.length;
+		var parser = createParser(dialect);
+		var records = parser.write(text.substring(start), false);
+		if(records.length > 0 && records.slice(0, nrChecked).every(function(cols) { return cols.length == nrColumns; })) {
+			return { start: start, end: start + parser.getCompleteLength() };
+		}
+	}
+	return null;
+}
+
+
+function createChunkReader(source) {
+	// Wraps a Readable stream or an (async) iterable into an object with a next function, which returns
+	// a promise for the next chunk, or for null when the source is exhausted. Chunks are pulled only
+	// when asked for, so whatever is not pulled stays in the source.
+	var iterator = null;
+	if(source && typeof source.read == "function" && typeof source.on == "function") {
+		var ended = !!source.readableEnded;
+		var error = null;
+		source.on("end", function() { ended = true; });
+		source.on("error", function(err) { error = err; });
+		return {
+			next: function() {
+				return new Promise(function(resolve, reject) {
+					function cleanup() {
+						source.removeListener("readable", attempt);
+						source.removeListener("end", attempt);
+						source.removeListener("error", attempt);
+					}
+					function attempt() {
+						if(error) {
+							cleanup();
+							return reject(error);
+						}
+						var chunk = ended ? null : source.read();
+						if(chunk !== null || ended) {
+							cleanup();
+							resolve(chunk);
+						}
+					}
+					source.on("readable", attempt);
+					source.on("end", attempt);
+					source.on("error", attempt);
+					attempt();
+				});
+			}
+		};
+	}
+	if(source && typeof source != "string" && typeof Symbol != "undefined") {
+		if(Symbol.asyncIterator && typeof source[Symbol.asyncIterator] == "function") {
+			iterator = source[Symbol.asyncIterator]();
+		} else if(typeof source[Symbol.iterator] == "function") {
+			iterator = source[Symbol.iterator]();
+		}
+	}
+	if(!iterator) {
+		throw new TypeError("Expected a Readable stream or an (async) iterable");
+	}
+	var done = false;
+	return {
+		next: function() {
+			if(done) {
+				return Promise.resolve(null);
+			}
+			return Promise.resolve(iterator.next()).then(function(d) {
+				done = d.done;
+				return done ? null : d.value;
+			});
+		}
+	};
+}
+
+function createReplayStream(chunks, reader) {
+	// Creates a Readable stream that first replays the given chunks, and then continues with
+	// the chunks that are left in the reader.
+	var pending = chunks.slice(0);
+	var reading = false;
+	return new stream.Readable({
+		read: function() {
+			var self = this;
+			if(pending.length > 0) {
+				return self.push(toBuffer(pending.shift()));
+			}
+			if(reading) {
+				return;
+			}
+			reading = true;
+			reader.next().then(function(chunk) {
+				reading = false;
+				self.push(chunk === null ? null : toBuffer(chunk));
+			}, function(err) {
+				self.emit("error", err);
+			});
+		}
+	});
+}
+
+function quoteIdentifier(name) {
+	return '"' + name.replace(/"/g, '""') + '"';
+}
+
+function getColumnNames(result) {
+	// Derives column names from the labels, or generates them if there are no labels. Empty labels
+	// are replaced and duplicates (ignoring case, since not every database is case sensitive) get a
+	// number appended, e.g. "name", "name_2".
+	var nrCols = result.types ? result.types.length : 0;
+	var used = {};
+	var names = [];
+	for(var i=0; i<nrCols; ++i) {
+		var name = result.labels && result.labels[i] !== undefined ? String(result.labels[i]).trim() : "";
+		if(!name) {
+			name = "column_" + (i+1);
+		}
+		var unique = name;
+		for(var n=2; used.hasOwnProperty(unique.toLowerCase()); ++n) {
+			unique = name + "_" + n;
+		}
+		used[unique.toLowerCase()] = true;
+		names.push(unique);
+	}
+	return names;
+}
+
+function getNullTokens(result) {
+	// Returns the null tokens of all columns of a result, ordered by the first column they appear in
+	var tokens = [];
+	(result.nullTokens || []).forEach(function(columnTokens) {
+		columnTokens.forEach(function(token) {
+			if(tokens.indexOf(token) == -1) {
+				tokens.push(token);
+			}
+		});
+	});
+	return tokens;
+}
+
+function getSQLNullToken(result, warnings) {
+	// Databases accept a single string as null, so we prefer the first token that is not empty
+	var tokens = getNullTokens(result);
+	var token = tokens.filter(Boolean)[0] || "";
+	var others = tokens.filter(function(d) { return d != token; });
+	if(others.length > 0) {
+		warnings.push("Only one null token can be given, so " + others.map(function(d) { return JSON.stringify(d); }).join(", ") +
+			" will be loaded as " + (others.length > 1 ? "values" : "a value"));
+	}
+	return token;
+}
+
+function escapeSQLString(str) {
+	// Creates a string literal, using the escaped form for strings with control characters or backslashes
+	if(/[\x00-\x1f\\]/.test(str)) {
+		return "E'" + str.replace(/[\x00-\x1f\\']/g, function(c) {
+			var escapes = { "\\": "\\\\", "'": "''", "\n": "\\n", "\r": "\\r", "\t": "\\t" };
+			if(escapes.hasOwnProperty(c)) {
+				return escapes[c];
+			}
+			return "\\" + ("00" + c.charCodeAt(0).toString(8)).slice(-3);
+		}) + "'";
+	}
+	return "'" + str.replace(/'/g, "''") + "'";
+}
+
+function getFieldSeparator(result) {
+	// Databases need a field separator, also for files without a delimiter (a single column or fixed
+	// width columns). It can not be the newline, so we take the first of a few chars that does not
+	// occur in the sampled values.
+	if(result.delimiter) {
+		return result.delimiter;
+	}
+	var text = (result.labels ? [result.labels] : []).concat(result.records || []).map(function(d) {
+		return d.join("");
+	}).join("");
+	return ["\t", "|", "\x01"].filter(function(c) { return text.indexOf(c) == -1; })[0] || "\x01";
+}
+
+// SQL dialects map every type (and optionally every refined type) to a column type, and generate a
+// statement that loads a file into a table. They are exposed as CSVSniffer.sqlDialects, so new
+// dialects can be added.
+var sqlDialects = {
+	monetdb: {
+		types: {
+			"integer": "BIGINT",
+			"float": "DOUBLE",
+			"boolean": "BOOLEAN",
+			"uuid": "UUID",
+			"date": "DATE",
+			"time": "TIME",
+			"timestamp": "TIMESTAMP",
+			"timestamptz": "TIMESTAMP WITH TIME ZONE",
+			"string": "CLOB"
+		},
+		refinedTypes: {
+			"tinyint": "TINYINT",
+			"smallint": "SMALLINT",
+			"int": "INT",
+			"bigint": "BIGINT",
+			"hugeint": "HUGEINT",
+			"decimal": "DECIMAL",
+			"double": "DOUBLE",
+			"varchar": "VARCHAR"
+		},
+		load: function(table, result, options, warnings) {
+			var nrSkipped = (result.skipRows || 0) + (result.hasHeader ? 1 : 0);
+			var offset = nrSkipped > 0 ? " OFFSET " + (nrSkipped + 1) : ""; // offsets are 1-based, so 2 skips the header line
+			var source = options.path ? escapeSQLString(options.path) + (options.onClient ? " ON CLIENT" : "") : "STDIN";
+			var delimiters = [getFieldSeparator(result), result.newlineStr || "\n"];
+			if(result.quoteChar) {
+				delimiters.push(result.quoteChar);
+			}
+			// the clauses follow the order of the COPY INTO grammar of MonetDB
+			var sql = "COPY" + offset + " INTO " + table + " FROM " + source +
+				" USING DELIMITERS " + delimiters.map(escapeSQLString).join(", ");
+			var numberFormat = result.numberFormat;
+			if(numberFormat && (numberFormat.decimalMark != "." || numberFormat.groupingChar)) {
+				sql += " DECIMAL AS " + escapeSQLString(numberFormat.decimalMark) +
+					(numberFormat.groupingChar ? ", " + escapeSQLString(numberFormat.groupingChar) : "");
+			}
+			if(result.escapeChar === null) {
+				sql += " NO ESCAPE"; // MonetDB treats backslashes as escapes by default
+			}
+			sql += " NULL AS " + escapeSQLString(getSQLNullToken(result, warnings));
+			if(result.fixedColumns) {
+				sql += " FWF (" + result.fixedColumns.map(function(column, i) {
+					if(column.end == null) {
+						warnings.push("Column " + (i+1) + " has no end, so its width is unknown");
+						return 0;
+					}
+					return column.end - column.start;
+				}).join(", ") + ")";
+			}
+			return sql + ";";
+		}
+	},
+	postgresql: {
+		types: {
+			"integer": "BIGINT",
+			"float": "DOUBLE PRECISION",
+			"boolean": "BOOLEAN",
+			"uuid": "UUID",
+			"date": "DATE",
+			"time": "TIME",
+			"timestamp": "TIMESTAMP",
+			"timestamptz": "TIMESTAMPTZ",
+			"string": "TEXT"
+		},
+		refinedTypes: {
+			"tinyint": "SMALLINT",
+			"smallint": "SMALLINT",
+			"int": "INTEGER",
+			"bigint": "BIGINT",
+			"hugeint": "NUMERIC(39)",
+			"decimal": "NUMERIC",
+			"double": "DOUBLE PRECISION",
+			"varchar": "VARCHAR"
+		},
+		load: function(table, result, options, warnings) {
+			var settings = ["FORMAT csv", "DELIMITER " + escapeSQLString(getFieldSeparator(result))];
+			if(result.quoteChar) {
+				settings.push("QUOTE " + escapeSQLString(result.quoteChar));
+			} else {
+				warnings.push("PostgreSQL always treats '\"' as quote character in CSV files");
+			}
+			if(result.escapeChar) {
+				settings.push("ESCAPE " + escapeSQLString(result.escapeChar));
+			}
+			if(result.hasHeader) {
+				settings.push("HEADER true");
+			}
+			var nullToken = getSQLNullToken(result, warnings);
+			if(nullToken) {
+				settings.push("NULL " + escapeSQLString(nullToken));
+			}
+			if(result.skipRows) {
+				warnings.push("PostgreSQL can not skip lines before the header");
+			}
+			if(result.fixedColumns) {
+				warnings.push("PostgreSQL can not load fixed width files");
+			}
+			if(result.delimiter && result.delimiter.length > 1) {
+				warnings.push("PostgreSQL does not support multi-character delimiters");
+			}
+			if(result.numberFormat && (result.numberFormat.decimalMark != "." || result.numberFormat.groupingChar)) {
+				warnings.push("PostgreSQL can not load numbers with a decimal comma or grouping characters");
+			}
+			return "COPY " + table + " FROM " + (options.path ? escapeSQLString(options.path) : "STDIN") +
+				" WITH (" + settings.join(", ") + ");";
+		}
+	},
+	sqlite: {
+		types: {
+			"integer": "INTEGER",
+			"float": "REAL",
+			"boolean": "TEXT",
+			"uuid": "TEXT",
+			"date": "TEXT",
+			"time": "TEXT",
+			"timestamp": "TEXT",
+			"timestamptz": "TEXT",
+			"string": "TEXT"
+		},
+		load: function(table, result, options, warnings) {
+			// SQLite has no statement to load files, so we generate the commands for the sqlite3 shell
+			if(!options.path) {
+				throw new Error("SQLite needs a path to import from");
+			}
+			if(result.quoteChar && result.quoteChar != '"') {
+				warnings.push("SQLite only supports '\"' as quote character");
+			}
+			if(result.escapeChar) {
+				warnings.push("SQLite does not support escape characters");
+			}
+			if(result.fixedColumns) {
+				warnings.push("SQLite can not load fixed width files");
+			}
+			if(getNullTokens(result).length > 0) {
+				warnings.push("SQLite loads null tokens as values");
+			}
+			var nrSkipped = (result.skipRows || 0) + (result.hasHeader ? 1 : 0);
+			function shellString(str) {
+				return '"' + str.replace(/[\\"\n\r\t]/g, function(c) {
+					return { "\\": "\\\\", '"': '\\"', "\n": "\\n", "\r": "\\r", "\t": "\\t" }[c];
+				}) + '"';
+			}
+			return [
+				".mode csv",
+				".separator " + shellString(getFieldSeparator(result)) + " " + shellString(result.newlineStr || "\n"),
+				".import" + (nrSkipped > 0 ? " --skip " + nrSkipped : "") + " " + shellString(options.path) + " " + table
+			].join("\n");
+		}
+	}
+};
+
+function getRefinedSQLType(dialect, refined) {
+	// Maps a refined type (see refineType) to a column type of the dialect, with the precision and scale
+	// of decimals and the length of varchars. Returns null if the dialect has no such column type.
+	var sqlType = refined && dialect.refinedTypes && dialect.refinedTypes[refined.type];
+	if(!sqlType) {
+		return null;
+	}
+	if(refined.type == "decimal") {
+		return sqlType + "(" + refined.precision + "," + refined.scale + ")";
+	}
+	if(refined.type == "varchar") {
+		return refined.length > 0 ? sqlType + "(" + refined.length + ")" : null;
+	}
+	return sqlType;
+}
+
+function toSQL(result, options) {
+	// Generates a CREATE TABLE statement and a statement to load the sniffed file into that table
+	options = options || {};
+	var dialect = sqlDialects[options.dialect || "monetdb"];
+	if(!dialect) {
+		throw new Error("Unknown SQL dialect: " + options.dialect);
+	}
+	var tableName = options.tableName;
+	if(!tableName) {
+		// derive the table name from the file name, or fall back to a generic name
+		var fileName = options.path ? options.path.replace(/^.*[\/\\]/, "").replace(/\.[^.]*$/, "") : "";
+		tableName = fileName.replace(/[^A-Za-z0-9_]+/g, "_") || "csv_import";
+	}
+	var table = quoteIdentifier(tableName);
+	var warnings = [];
+
+	var precise = !!options.precise && !!result.refinedTypes;
+	var columns = getColumnNames(result).map(function(name, i) {
+		var type = result.types[i];
+		var sqlType = (precise && getRefinedSQLType(dialect, result.refinedTypes[i])) || dialect.types[type] || dialect.types.string;
+		return "\t" + quoteIdentifier(name) + " " + sqlType;
+	});
+	if(result.commentChar) {
+		warnings.push("The database does not skip comment lines");
+	}
+	if(result.skipInitialSpace || result.trimTrailingSpace) {
+		warnings.push("The database keeps whitespace around values that was removed while sniffing");
+	}
+	(result.formats || []).forEach(function(format, i) {
+		if(format && ["YYYY-MM-DD", "HH:mm:ss", "HH:mm", "YYYY-MM-DD HH:mm:ss", "YYYY-MM-DD HH:mm:ssZ"].indexOf(format) == -1) {
+			warnings.push("Column " + (i+1) + " has format " + format + ", which the database might not load directly");
+		}
+	});
+
+	return {
+		createTable: "CREATE TABLE " + table + " (\n" + columns.join(",\n") + "\n);",
+		load: dialect.load(table, result, options, warnings),
+		warnings: warnings
+	};
+}
+
+function normalizeLabel(label) {
+	// Labels that only differ in case or whitespace are taken to be the same
+	return String(label).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function matchColumns(merged, result) {
+	// Returns for every column of the result the index of the matching column of the merged schema, or -1.
+	// With labels on both sides, columns are matched by their (normalized) labels, and otherwise by their
+	// positions. A column that is not matched on both sides at the same position is taken to be renamed.
+	if(!merged.labels || !result.labels) {
+		return result.types.map(function(type, i) { return i < merged.types.length ? i : -1; });
+	}
+	var used = merged.labels.map(function() { return false; });
+	var mapping = result.labels.map(function(label) {
+		var index = -1;
+		merged.labels.some(function(d, j) {
+			if(!used[j] && normalizeLabel(d) == normalizeLabel(label)) {
+				index = j;
+				used[j] = true;
+				return true;
+			}
+			return false;
+		});
+		return index;
+	});
+	return mapping.map(function(index, i) {
+		if(index == -1 && i < used.length && !used[i]) {
+			used[i] = true;
+			return -2 - i; // renamed, see mergeResults
+		}
+		return index;
+	});
+}
+
+function mergeTypes(typeA, formatA, typeB, formatB, typeSystem) {
+	// Widens two column types into one. Temporal columns keep the format of the widest type, if it
+	// extends the other format, and become strings otherwise.
+	var type = widenType(typeA, typeB, typeSystem);
+	var formats = [formatA, formatB].filter(function(d) { return !!d && temporalFormatsByPattern[d].type == type; });
+	var format = formats.length > 0 ? formats[0] : null;
+	var compatible = [formatA, formatB].every(function(d) {
+		return !d || !format || formatExtends(temporalFormatsByPattern[format], d);
+	});
+	if(!compatible) {
+		return { type: "string", format: null };
+	}
+	return { type: type, format: format };
+}
+
+function mergeResults(results, typeSystem) {
+	// Merges the sniff results of several files into one schema, with the union of the columns and
+	// their widened types. The first result is the reference for the dialect. Every difference with
+	// the schema merged so far is reported as drift.
+	var first = results[0];
+	var dialectKeys = ["newlineStr", "delimiter", "quoteChar", "hasHeader"];
+	var merged = {
+		labels: first.labels ? first.labels.slice(0) : null,
+		types: first.types.slice(0),
+		formats: first.types.map(function(type, i) { return first.formats ? first.formats[i] : null; }),
+		drift: []
+	};
+	dialectKeys.forEach(function(key) {
+		merged[key] = first[key];
+	});
+	function columnName(j) {
+		return merged.labels ? merged.labels[j] : "column_" + (j + 1);
+	}
+
+	results.slice(1).forEach(function(result, n) {
+		var input = n + 1;
+		function drift(kind, properties) {
+			var entry = { kind: kind, input: input };
+			for(var key in properties) {
+				entry[key] = properties[key];
+			}
+			merged.drift.push(entry);
+		}
+		dialectKeys.forEach(function(key) {
+			if(result[key] !== first[key]) {
+				drift("dialectChanged", { property: key, from: first[key], to: result[key] });
+			}
+		});
+
+		var mapping = matchColumns(merged, result).map(function(j, i) {
+			if(j < -1) {
+				j = -2 - j;
+				drift("renamed", { column: columnName(j), from: merged.labels[j], to: result.labels[i] });
+			}
+			return j;
+		});
+		merged.types.forEach(function(type, j) {
+			if(mapping.indexOf(j) == -1) {
+				drift("removed", { column: columnName(j), from: j });
+			}
+		});
+		var matched = mapping.filter(function(j) { return j > -1; });
+		var ordered = matched.slice(0).sort(function(a, b) { return a - b; });
+		var rank = 0;
+		mapping.forEach(function(j, i) {
+			if(j == -1) {
+				var name = result.labels ? result.labels[i] : "column_" + (merged.types.length + 1);
+				if(merged.labels) {
+					merged.labels.push(name);
+				}
+				merged.types.push(result.types[i]);
+				merged.formats.push(result.formats ? result.formats[i] : null);
+				return drift("added", { column: name, to: i });
+			}
+			if(ordered[rank++] != j) {
+				drift("reordered", { column: columnName(j), from: j, to: i });
+			}
+			var format = result.formats ? result.formats[i] : null;
+			if(result.types[i] != merged.types[j] || format != merged.formats[j]) {
+				drift("typeChanged", { column: columnName(j), from: merged.types[j], to: result.types[i], fromFormat: merged.formats[j], toFormat: format });
+				var widened = mergeTypes(merged.types[j], merged.formats[j], result.types[i], format, typeSystem);
+				merged.types[j] = widened.type;
+				merged.formats[j] = widened.format;
+			}
+		});
+	});
+	return merged;
+}
+
+// Table Schema types of our types. Temporal formats are written as strptime patterns, or as "default"
+// if they are the ISO 8601 format that Table Schema expects by default.
+var tableSchemaTypes = {
+	"integer": { type: "integer" },
+	"float": { type: "number" },
+	"boolean": { type: "boolean" },
+	"uuid": { type: "string", format: "uuid" },
+	"date": { type: "date", defaultFormat: "YYYY-MM-DD" },
+	"time": { type: "time", defaultFormat: "HH:mm:ss" },
+	"timestamp": { type: "datetime", defaultFormat: null },
+	"timestamptz": { type: "datetime", defaultFormat: "YYYY-MM-DDTHH:mm:ssZ" },
+	"string": { type: "string" }
+};
+var strptimeTokens = { YYYY: "%Y", MM: "%m", DD: "%d", HH: "%H", mm: "%M", ss: "%S", Z: "%z" };
+
+function toStrptime(pattern) {
+	return pattern.replace(/YYYY|MM|DD|HH|mm|ss|Z|%/g, function(token) {
+		return token == "%" ? "%%" : strptimeTokens[token];
+	});
+}
+
+function fromStrptime(format) {
+	var pattern = format.replace(/%(.)/g, function(match, c) {
+		var token = null;
+		for(var key in strptimeTokens) {
+			if(strptimeTokens[key] == match) {
+				token = key;
+			}
+		}
+		return token || (c == "%" ? "%" : match);
+	});
+	return temporalFormatsByPattern[pattern] ? pattern : null;
+}
+
+function getDialectDescriptor(result) {
+	// Describes the dialect of a sniff result as a CSV Dialect (https://specs.frictionlessdata.io/csv-dialect/)
+	var dialect = { csvddfVersion: 1.2, delimiter: result.delimiter, lineTerminator: result.newlineStr };
+	if(result.quoteChar) {
+		dialect.quoteChar = result.quoteChar;
+		dialect.doubleQuote = result.doubleQuote !== false;
+	}
+	if(result.escapeChar) {
+		dialect.escapeChar = result.escapeChar;
+	}
+	dialect.skipInitialSpace = !!result.skipInitialSpace;
+	dialect.header = !!result.hasHeader;
+	if(result.commentChar) {
+		dialect.commentChar = result.commentChar;
+	}
+	return dialect;
+}
+
+function isRequired(result, i) {
+	// A column is required if none of the sampled values is null
+	var profile = result.columns && result.columns[i];
+	return !!profile && profile.nullCount == 0 && result.records.length > 0;
+}
+
+function toTableSchema(result) {
+	// Describes the columns of a sniff result as a Table Schema (https://specs.frictionlessdata.io/table-schema/),
+	// with the dialect as a CSV Dialect
+	var numberFormat = result.numberFormat;
+	var fields = getColumnNames(result).map(function(name, i) {
+		var type = tableSchemaTypes[result.types[i]] || tableSchemaTypes.string;
+		var field = { name: name, type: type.type };
+		var pattern = result.formats && result.formats[i];
+		if(type.format) {
+			field.format = type.format;
+		} else if(pattern) {
+			field.format = pattern == type.defaultFormat ? "default" : toStrptime(pattern);
+		}
+		if(result.types[i] == "boolean") {
+			field.trueValues = [];
+			field.falseValues = [];
+			booleanValues.forEach(function(value, j) {
+				var values = j % 2 == 0 ? field.trueValues : field.falseValues;
+				values.push(value, value.charAt(0).toUpperCase() + value.substring(1), value.toUpperCase());
+			});
+		}
+		if((type.type == "number" || type.type == "integer") && !isDefaultNumberFormat(numberFormat)) {
+			field.decimalChar = numberFormat.decimalMark;
+			if(numberFormat.groupingChar) {
+				field.groupChar = numberFormat.groupingChar;
+			}
+			if(numberFormat.suffix) {
+				field.bareNumber = false;
+			}
+		}
+		if(isRequired(result, i)) {
+			field.constraints = { required: true };
+		}
+		return field;
+	});
+	return { fields: fields, missingValues: [""].concat(getNullTokens(result).filter(Boolean)), dialect: getDialectDescriptor(result) };
+}
+
+function toJSONSchema(result) {
+	// Describes a record of a sniff result, as an object keyed by the column names, as a JSON Schema. Values
+	// are expected to be converted to their types, and temporal values in other formats than the ones that
+	// JSON Schema knows are checked with a regular expression. Empty values are expected to be null.
+	var properties = {};
+	var required = [];
+	getColumnNames(result).forEach(function(name, i) {
+		var type = result.types[i];
+		var pattern = result.formats && result.formats[i];
+		var property = { type: { "integer": "integer", "float": "number", "boolean": "boolean" }[type] || "string" };
+		if(type == "uuid") {
+			property.format = "uuid";
+		} else if(pattern) {
+			var format = { "YYYY-MM-DD": "date", "HH:mm:ss": "time", "YYYY-MM-DDTHH:mm:ssZ": "date-time" }[pattern];
+			if(format) {
+				property.format = format;
+			} else {
+				property.pattern = temporalFormatsByPattern[pattern].regex.source;
+			}
+		}
+		if(isRequired(result, i)) {
+			required.push(name);
+		} else {
+			property.type = [property.type, "null"];
+		}
+		properties[name] = property;
+	});
+	return {
+		$schema: "http://json-schema.org/draft-07/schema#",
+		type: "object",
+		properties: properties,
+		required: required,
+		// JSON Schema has no keyword for the dialect, so it is added as an extension
+		"x-dialect": getDialectDescriptor(result)
+	};
+}
+
+function fromTableSchema(schema) {
+	// Derives the options for sniff from a Table Schema, and the types and formats of its fields
+	var options = {};
+	var dialect = schema.dialect || {};
+	if(dialect.delimiter) options.delimiter = dialect.delimiter;
+	if(dialect.lineTerminator) options.newlineStr = dialect.lineTerminator;
+	if(dialect.quoteChar !== undefined) options.quoteChar = dialect.quoteChar || null;
+	if(dialect.doubleQuote !== undefined) options.doubleQuote = dialect.doubleQuote;
+	if(dialect.escapeChar !== undefined) options.escapeChar = dialect.escapeChar || null;
+	if(dialect.skipInitialSpace !== undefined) options.skipInitialSpace = dialect.skipInitialSpace;
+	if(dialect.header !== undefined) options.hasHeader = dialect.header;
+	if(dialect.commentChar !== undefined) options.commentChar = dialect.commentChar || null;
+	if(schema.missingValues) options.nullTokens = schema.missingValues;
+
+	var fields = schema.fields || [];
+	var numberField = fields.filter(function(field) {
+		return (field.type == "number" || field.type == "integer") && (field.decimalChar || field.groupChar);
+	})[0];
+	if(numberField) {
+		options.numberFormat = { decimalMark: numberField.decimalChar || ".", groupingChar: numberField.groupChar || null, suffix: null };
+	}
+	var types = [];
+	var formats = [];
+	fields.forEach(function(field) {
+		var type = { "integer": "integer", "number": "float", "boolean": "boolean", "date": "date", "time": "time", "datetime": "timestamp" }[field.type] || "string";
+		if(type == "string" && field.format == "uuid") {
+			type = "uuid";
+		}
+		var format = null;
+		if(tableSchemaTypes[type].defaultFormat !== undefined) {
+			format = field.format && field.format != "default" && field.format != "any" ? fromStrptime(field.format) : tableSchemaTypes[type].defaultFormat;
+			if(type == "timestamp" && (!format || format.charAt(format.length - 1) == "Z")) {
+				type = "timestamptz";
+				format = format || tableSchemaTypes.timestamptz.defaultFormat;
+			}
+		}
+		types.push(type);
+		formats.push(format);
+	});
+	return {
+		options: options,
+		names: fields.map(function(field) { return field.name; }),
+		types: types,
+		formats: formats
+	};
+}
+
+function holdsFieldNames(values, names) {
+	// Checks if at least half of the values are the names of the fields at their positions, ignoring
+	// differences in case and whitespace
+	if(!values || names.length == 0) {
+		return false;
+	}
+	var nrMatches = names.filter(function(name, i) {
+		return name !== undefined && values[i] !== undefined && normalizeLabel(values[i]) == normalizeLabel(name);
+	}).length;
+	return nrMatches >= names.length / 2;
+}
+
+module.exports = function() {
+
+	function CSVSniffer(delims) {
+		this.delimiters = delims;
+		this.customTypes = [];
+		this.typeSystem = defaultTypeSystem;
+	}
+
+	// Register a custom type, which is detected by the given test function. See documentation for
+	// exact options.
+
+	CSVSniffer.prototype.registerType = function(name, options) {
+		options = options || {};
+		if(typeWidening.hasOwnProperty(name) || this.customTypes.some(function(d) { return d.name == name; })) {
+			throw new Error("Type already exists: " + name);
+		}
+		if(typeof options.test != "function") {
+			throw new Error("A type needs a test function");
+		}
+		var customTypes = this.customTypes.concat([{
+			name: name,
+			test: options.test,
+			widensTo: options.widensTo || [],
+			priority: options.priority || 0
+		}]);
+		this.typeSystem = createTypeSystem(customTypes);
+		this.customTypes = customTypes;
+		return this;
+	};
+
+    // Expose the function used to accumulate the types to the outside world.
+    // Given a current type, and a value, it returns the accumulated type.
+    // For example, if the curType is integer and the curValue is 4.4, the result
+    // will be float. If curValue in this case would be a string, the result would be a string.
+    // If curType is null or undefined, the type of curValue itself is returned.
+    // An optional number format (see result.numberFormat) determines how numbers are recognized.
+    // Custom types that were registered with registerType are taken into account as well.
+    CSVSniffer.prototype.getAccumulatedType = function(curValue, curType, numberFormat) {
+        return getAccumulatedType(curValue, curType, numberFormat, this.typeSystem);
+    };
+
+
+	// Sniff the given sample, using the given options. See documentation for exact options.
+
+	CSVSniffer.prototype.sniff = function(sample, options) {
+		if(!options) {
+			var options = {};
+		}
+		var result = {};
+		result.warnings = [];
+
+		// A Table Schema provides the dialect (as far as not given in the options) and the types
+		var schema = null;
+		if(options.schema) {
+			schema = fromTableSchema(options.schema);
+			for(var key in options) {
+				schema.options[key] = options[key];
+			}
+			options = schema.options;
+		}
+
+		// Samples of bytes are decoded first. Byte order marks are removed from all samples.
+		var decoded = decodeSample(sample, options.encoding);
+		if(!options.delimiter && !options.fixedColumns) {
+			// JSON, XML, HTML and binary files are rejected, instead of detecting a bogus dialect in them
+			var classification = classifySample(sample, decoded.text);
+			if(classification) {
+				var err = new Error("The sample is " + formatNames[classification.format] + ", not delimited text: " + classification.reason);
+				err.format = classification.format;
+				err.reason = classification.reason;
+				throw err;
+			}
+		}
+		sample = decoded.text;
+		if(!/\S/.test(sample)) {
+			throw new Error("The sample is empty");
+		}
+		result.encoding = decoded.encoding;
+		result.hasBOM = decoded.hasBOM;
+
+		// For every property, we keep a ranked list of candidates (most probable first). Properties
+		// that were provided by the user have just a single candidate.
+		var candidates = {};
+		function given(value) {
+			return [{ value: value, score: 1 }];
+		}
+		// With the explain option, the heuristics report how they came to their decisions, but never values of the sample
+		var trace = options.explain ? { newlineStr: null, quoteAndDelimiter: null, delimiter: null, hasHeader: null } : null;
+
+		if(options.newlineStr) {
+			candidates.newlineStr = given(options.newlineStr);
+		} else {
+			// Newlines inside quoted fields distort the line lengths, so once a quote char is found, the
+			// newlines are counted again without them. The quote char is then looked for again with the
+			// new newline, until the two agree.
+			candidates.newlineStr = getNewlineStr(sample, null);
+			var quoteChar = null;
+			for(var round = 0; round < 3 && candidates.newlineStr.length > 0; ++round) {
+				var nextQuoteChar = options.quoteChar;
+				if(nextQuoteChar === undefined) {
+					var quoteGuess = guessQuoteAndDelimiter(sample, candidates.newlineStr[0].value, this.delimiters);
+					nextQuoteChar = quoteGuess.delim && (quoteGuess.quote == "'" || quoteGuess.quote == '"') ? quoteGuess.quote : null;
+				}
+				if(!nextQuoteChar || nextQuoteChar === quoteChar) break;
+				quoteChar = nextQuoteChar;
+				candidates.newlineStr = getNewlineStr(sample, quoteChar);
+			}
+			if(trace) {
+				trace.newlineStr = {
+					quoteChar: quoteChar,
+					candidates: candidates.newlineStr.map(function(d) {
+						return { value: d.value, nrLines: countLines(sample, d.value, quoteChar), score: d.score };
+					})
+				};
+			}
+		}
+		result.newlineStr = candidates.newlineStr.length > 0 ? candidates.newlineStr[0].value : null;
+		if(!result.newlineStr) {
+			// A sample without newlines is a single record
+			result.newlineStr = "\n";
+			sample += result.newlineStr;
+		} else if(sample.slice(-result.newlineStr.length) != result.newlineStr && (options.complete || splitRecords(sample, result.newlineStr, quoteChar || null).length < 2)) {
+			// The last line of a complete sample is not cut off, even without a newline. Neither is the
+			// last line of a sample with a single newline, which is too short to be the head of a file.
+			sample += result.newlineStr;
+		}
+
+		// Detects the quote char and the delimiter in the text, and returns them with their candidates,
+		// warnings and trace. A delimiter that was given is kept. Also decides if it is a fixed width file.
+		var delimiters = this.delimiters;
+		var newlineStr = result.newlineStr;
+		function detectQuoteAndDelimiter(text, delimiterOption) {
+			var detected = { quoteChar: null, delimiter: delimiterOption, candidates: {}, warnings: [], trace: { quoteAndDelimiter: null, delimiter: null } };
+			if(delimiterOption) {
+				detected.candidates.delimiter = given(delimiterOption);
+			}
+			if(options.quoteChar === undefined) {
+				var quoteAndDelim = guessQuoteAndDelimiter(text, newlineStr, delimiters);
+				detected.trace.quoteAndDelimiter = quoteAndDelim.trace;
+				if(quoteAndDelim.delim && (quoteAndDelim.quote == "'" || quoteAndDelim.quote == '"')) {
+					detected.quoteChar = quoteAndDelim.quote;
+					detected.candidates.quoteChar = quoteAndDelim.quoteCandidates;
+					if(delimiterOption === undefined) {
+						// only set the delimiter if a valid quoteChar was found
+						detected.delimiter = quoteAndDelim.delim;
+						detected.candidates.delimiter = quoteAndDelim.delimCandidates;
+					} else if(delimiterOption !== quoteAndDelim.delim) {
+						detected.warnings.push("Difference found in delimiters. User proposed "+delimiterOption+" but we believe it should be "+quoteAndDelim.delim);
+					}
+				} else {
+					// Not having a quote character is more likely when no quote characters occur at all. Quote
+					// chars that were found without a delimiter are at most as likely as not having one.
+					var noQuoteScore = /["']/.test(text) ? 0.5 : 1;
+					detected.candidates.quoteChar = rankCandidates([{ value: null, score: noQuoteScore }].concat(quoteAndDelim.quoteCandidates.map(function(d) {
+						return { value: d.value, score: d.score * noQuoteScore };
+					})));
+				}
+			} else {
+				detected.quoteChar = options.quoteChar;
+				detected.candidates.quoteChar = given(options.quoteChar);
+			}
+			if(!detected.delimiter) {
+				// Without a consistent delimiter, the delimiter stays null, even if there are candidates
+				var delimiterData = guessDelimiter(text, newlineStr, delimiters, detected.quoteChar);
+				detected.candidates.delimiter = preferNumericDelimiter(text, newlineStr, detected.quoteChar, delimiterData, options.numberFormat);
+				detected.delimiter = delimiterData.delimiter && detected.candidates.delimiter[0].value;
+				detected.trace.delimiter = delimiterData.trace;
+				detected.trace.delimiter.preferredForNumbers = detected.candidates.delimiter[0] != delimiterData.candidates[0];
+			} else if(trace) {
+				// The delimiter was given or found from quoted values, but the mode tables still show how
+				// consistently every candidate occurs on the lines
+				detected.trace.delimiter = guessDelimiter(text, newlineStr, delimiters, detected.quoteChar).trace;
+				detected.trace.delimiter.preferredForNumbers = false;
+			}
+			// Without a common delimiter (none, just spaces, or a char like . that occurs in the values), the
+			// values can be aligned in columns at fixed positions instead. Columns given by the user always
+			// make it a fixed width file.
+			detected.fixedColumns = null;
+			if(options.fixedColumns) {
+				detected.fixedColumns = options.fixedColumns;
+			} else if(!delimiterOption && !detected.quoteChar && !isCommonDelimiter(detected.delimiter, delimiters)) {
+				detected.fixedColumns = guessColumns(text, newlineStr);
+			}
+			return detected;
+		}
+
+		// Lines before the header (an Excel sep= hint, comments and other preamble lines) and comment
+		// lines are left out of all heuristics. They are found with the quote char and delimiter of the
+		// whole sample, which are only detected again if lines were left out. The delimiter of a sep=
+		// hint is used unless the user provided one.
+		var detected = detectQuoteAndDelimiter(sample, options.delimiter || undefined);
+		var preamble = findPreamble(sample, result.newlineStr, options, detected);
+		result.skipRows = preamble.skipRows;
+		result.commentChar = preamble.commentChar;
+		result.sepHint = preamble.sepHint;
+		var body = getBody(sample, result.newlineStr, result.skipRows, result.commentChar, detected.quoteChar);
+		var delimiterOption = options.delimiter || result.sepHint || undefined;
+		if(body !== sample) {
+			detected = detectQuoteAndDelimiter(body, delimiterOption);
+		}
+		result.delimiter = detected.delimiter;
+		result.quoteChar = detected.quoteChar;
+		candidates.delimiter = detected.candidates.delimiter;
+		candidates.quoteChar = detected.candidates.quoteChar;
+		result.warnings = result.warnings.concat(detected.warnings);
+		if(trace) {
+			trace.quoteAndDelimiter = detected.trace.quoteAndDelimiter;
+			trace.delimiter = detected.trace.delimiter;
+		}
+
+		result.format = detected.delimiter == "\t" ? "tsv" : "csv";
+		result.fixedColumns = detected.fixedColumns;
+		if(result.fixedColumns) {
+			result.format = "fixed";
+			result.delimiter = null;
+			result.quoteChar = null;
+			result.formatReason = "The values are aligned in " + result.fixedColumns.length + " columns";
+		} else if(result.delimiter) {
+			result.formatReason = "The values are separated by " + JSON.stringify(result.delimiter);
+		} else {
+			result.format = "text";
+			result.formatReason = "No delimiter was found, so every line is a single value";
+		}
+		var escaping = guessEscaping(body, result.newlineStr, result.delimiter, result.quoteChar);
+		result.doubleQuote = options.doubleQuote !== undefined ? !!options.doubleQuote : escaping.doubleQuote;
+		result.escapeChar = options.escapeChar !== undefined ? (options.escapeChar || null) : escaping.escapeChar;
+		result.skipInitialSpace = false;
+		result.trimTrailingSpace = !!options.trimTrailingSpace;
+		var issues = [];
+		var parsedSample = parseSample(sample, result, issues);
+		if(options.skipInitialSpace !== undefined) {
+			result.skipInitialSpace = !!options.skipInitialSpace;
+		} else {
+			result.skipInitialSpace = guessSkipInitialSpace(parsedSample, result.delimiter);
+		}
+		if(result.skipInitialSpace) {
+			issues = [];
+			parsedSample = parseSample(sample, result, issues);
+		}
+		result.numberFormat = options.numberFormat || guessNumberFormat(parsedSample);
+		result.nullTokens = findNullTokens(parsedSample, result.numberFormat, this.typeSystem, options.nullTokens || null);
+		result.nullable = result.nullTokens.map(function(d) { return d.length > 0; });
+		var typeStates = [];
+		var sizes;
+		if(schema) {
+			// The types come from the schema, so they are not detected. Unless the schema or the options
+			// tell, the first row is the header if it holds the names of the fields.
+			result.hasHeader = options.hasHeader != undefined ? options.hasHeader : holdsFieldNames(parsedSample[0], schema.names);
+			candidates.hasHeader = given(result.hasHeader);
+			var nrColumns = parsedSample.length > 0 ? parsedSample[0].length : 0;
+			if(schema.types.length != nrColumns) {
+				result.warnings.push("The schema has " + schema.types.length + " fields, but the sample has " + nrColumns + " columns");
+			}
+			result.types = schema.types;
+			result.formats = schema.formats;
+			sizes = getSizes(parsedSample.slice(result.hasHeader ? 1 : 0), schema.types.length, result.numberFormat, result.nullTokens);
+		} else {
+			if(options.hasHeader == undefined) {
+				var hasHeaderData = hasHeader(parsedSample, result.numberFormat, this.typeSystem, result.nullTokens);
+				result.hasHeader = hasHeaderData.hasHeader;
+				typeStates = hasHeaderData.types;
+				sizes = hasHeaderData.sizes;
+				candidates.hasHeader = hasHeaderData.candidates;
+				if(trace) {
+					trace.hasHeader = hasHeaderData.trace;
+				}
+			} else {
+				result.hasHeader = options.hasHeader;
+				var typesData = getTypes(parsedSample, result.numberFormat, this.typeSystem, result.nullTokens);
+				typeStates = typesData[result.hasHeader ? 'tail' : 'all'];
+				sizes = typesData.sizes[result.hasHeader ? 'tail' : 'all'];
+				candidates.hasHeader = given(options.hasHeader);
+			}
+			result.types = typeStates.map(function(d) { return d.type; });
+			result.formats = typeStates.map(getFormat);
+		}
+		result.refinedTypes = result.types.map(function(type, i) {
+			return refineType(type, sizes[i]);
+		});
+		typeStates.forEach(function(d, i) {
+			if(d.formats && d.formats.length > 1) {
+				result.warnings.push("Format of column "+(i+1)+" is ambiguous, it can be any of "+
+					d.formats.map(function(f) { return f.pattern; }).join(", ")+". We assume "+getFormat(d));
+			}
+		});
 		result.labels = (result.hasHeader && parsedSample.length > 0) ? parsedSample.slice(0, 1)[0] : null;
 		result.records = parsedSample;
 		if(result.hasHeader && result.records.length > 0) {
 			result.records.shift();
 		}
+		result.columns = getProfiles(result.records, result.types, result.formats, result.numberFormat, result.nullTokens, sizes);
+		result.issues = toByteOffsets(issues, sample, result.encoding, result.hasBOM);
+
+		result.candidates = {};
+		result.confidence = {};
+		["newlineStr", "delimiter", "quoteChar", "hasHeader"].forEach(function(d) {
+			result.candidates[d] = candidates[d] || [];
+			result.confidence[d] = getConfidence(result.candidates[d]);
+		});
+		if(trace) {
+			result.trace = trace;
+		}
 		return result;
 	}
+
+	// Create a Transform stream that parses CSV text into records, using the newlineStr, delimiter
+	// and quoteChar of the given dialect (e.g. the result of sniff). See documentation for exact options.
+
+	CSVSniffer.prototype.createReader = function(dialect, options) {
+		options = options || {};
+		var parser = createParser(dialect);
+		var decoder = createDecoder(options.encoding || dialect.encoding || "utf-8");
+		var skipHeader = !!dialect.hasHeader;
+		var labels = dialect.labels || null;
+
+		function pushRecords(reader, records) {
+			records.forEach(function(record) {
+				if(skipHeader) {
+					// the first record contains the labels, so we do not pass it on
+					skipHeader = false;
+					labels = labels || record;
+					return;
+				}
+				if(options.skipEmptyLines && record.length == 1 && record[0] === "") {
+					return;
+				}
+				if(!options.objects) {
+					return reader.push(record);
+				}
+				var obj = {};
+				record.forEach(function(value, i) {
+					obj[labels && i < labels.length ? labels[i] : i] = value;
+				});
+				reader.push(obj);
+			});
+		}
+
+		return new stream.Transform({
+			readableObjectMode: true,
+			transform: function(chunk, encoding, callback) {
+				var text = typeof chunk == "string" ? chunk : decoder.write(chunk);
+				pushRecords(this, parser.write(text, false));
+				callback();
+			},
+			flush: function(callback) {
+				pushRecords(this, parser.write(decoder.end(), true));
+				callback();
+			}
+		});
+	};
+
+
+	// Merge the sniff results of several files (or the samples of several files, which are sniffed
+	// using the given options) into one schema, and report how they differ. See documentation for
+	// exact options.
+
+	CSVSniffer.prototype.merge = function(inputs, options) {
+		var sniffer = this;
+		if(!inputs || inputs.length == 0) {
+			throw new Error("Nothing to merge");
+		}
+		var results = inputs.map(function(input) {
+			return input && Array.isArray(input.types) ? input : sniffer.sniff(input, options);
+		});
+		return mergeResults(results, this.typeSystem);
+	};
+
+	// Describe the columns and the dialect of a sniff result as a Table Schema, or as a JSON Schema
+	// for its records. See documentation for exact options.
+
+	CSVSniffer.prototype.toTableSchema = function(result) {
+		return toTableSchema(result);
+	};
+
+	CSVSniffer.prototype.toJSONSchema = function(result) {
+		return toJSONSchema(result);
+	};
+
+	// Write records as CSV text in the given dialect, which defaults to comma separated values quoted
+	// with ". See documentation for exact options.
+
+	CSVSniffer.prototype.stringify = function(records, dialect) {
+		return stringify(records, dialect);
+	};
+
+	// Create a Transform stream that writes the records (arrays, or objects keyed by the labels)
+	// written to it as CSV text in the given dialect.
+
+	CSVSniffer.prototype.createWriter = function(dialect) {
+		dialect = dialect || {};
+		var formatter = createFormatter(dialect);
+		var writeHeader = !!dialect.hasHeader && !!dialect.labels;
+		return new stream.Transform({
+			writableObjectMode: true,
+			transform: function(record, encoding, callback) {
+				try {
+					if(writeHeader) {
+						writeHeader = false;
+						this.push(formatter(dialect.labels.slice(0)));
+					}
+					this.push(formatter(record));
+				} catch(err) {
+					return callback(err);
+				}
+				callback();
+			},
+			flush: function(callback) {
+				if(writeHeader) {
+					this.push(formatter(dialect.labels.slice(0)));
+				}
+				callback();
+			}
+		});
+	};
+
+	// Convert CSV text (or bytes) from one dialect into another. Properties of the source dialect
+	// that are not given are sniffed. See documentation for exact options.
+
+	CSVSniffer.prototype.convert = function(input, fromDialect, toDialect) {
+		var result = this.sniff(input, fromDialect);
+		var records = createParser(result).write(decodeSample(input, result.encoding).text, true);
+		if(result.hasHeader && records.length > 0) {
+			records.shift();
+		}
+		var dialect = {};
+		for(var key in toDialect || {}) {
+			dialect[key] = toDialect[key];
+		}
+		if(dialect.hasHeader === undefined) {
+			dialect.hasHeader = result.hasHeader;
+		}
+		dialect.labels = dialect.labels || result.labels;
+		return stringify(records, dialect);
+	};
+
+	// Generate SQL statements that create a table for the sniffed data and load a file into that
+	// table. See documentation for exact options.
+
+	CSVSniffer.prototype.toSQL = function(result, options) {
+		return toSQL(result, options);
+	};
+
+	CSVSniffer.sqlDialects = sqlDialects;
+
+	// Sniff the data in the given Readable stream or (async) iterable. Chunks are read until the
+	// detected properties are stable or the budget runs out, after which the consumed data is
+	// sniffed using the given options. See documentation for exact options.
+
+	CSVSniffer.prototype.sniffStream = function(readable, options) {
+		var sniffer = this;
+		options = options || {};
+		var maxBytes = options.maxBytes || 1024 * 1024;
+		var maxRows = options.maxRows || 10000;
+		var minRows = options.minRows || 20;
+
+		var reader;
+		try {
+			reader = createChunkReader(readable);
+		} catch(err) {
+			return Promise.reject(err);
+		}
+
+		var chunks = [];
+		var bytesRead = 0;
+		var nextCheck = 0;
+		var lastDetection = null;
+
+		function getSample() {
+			// Chunks that are not strings are sniffed as bytes, so that their encoding is detected
+			var allStrings = chunks.every(function(d) { return typeof d == "string"; });
+			return allStrings ? chunks.join("") : Buffer.concat(chunks.map(toBuffer));
+		}
+
+		function detect() {
+			// Sniffs the sample read so far and summarizes the detected properties, so that we
+			// can compare them with the previous detection. Returns null if the sample can not be sniffed yet,
+			// or an error if it is not delimited text, in which case reading more will not help.
+			try {
+				var result = sniffer.sniff(getSample(), options);
+			} catch(err) {
+				return err.format ? { error: err } : null;
+			}
+			return {
+				key: JSON.stringify([result.newlineStr, result.delimiter, result.quoteChar, result.hasHeader, result.types]),
+				nrRows: result.records.length + (result.hasHeader ? 1 : 0)
+			};
+		}
+
+		return new Promise(function(resolve, reject) {
+			function finish(endOfStream) {
+				var sample = getSample();
+				var sampleOptions = {};
+				for(var key in options) {
+					sampleOptions[key] = options[key];
+				}
+				sampleOptions.complete = endOfStream;
+				try {
+					var result = sniffer.sniff(sample, sampleOptions);
+				} catch(err) {
+					return reject(err);
+				}
+				result.bytesRead = bytesRead;
+				result.endOfStream = endOfStream;
+				result.consumed = sample;
+				result.stream = createReplayStream(chunks, reader);
+				resolve(result);
+			}
+
+			function step() {
+				reader.next().then(function(chunk) {
+					if(chunk === null) {
+						return finish(true);
+					}
+					chunks.push(chunk);
+					bytesRead += typeof chunk == "string" ? Buffer.byteLength(chunk) : chunk.length;
+					if(bytesRead >= maxBytes) {
+						return finish(false);
+					}
+
+					// Sniffing is only repeated once the sample has grown by half, which keeps the
+					// total amount of work linear in the size of the sample
+					if(bytesRead >= nextCheck) {
+						nextCheck = bytesRead * 1.5;
+						var detection = detect();
+						if(detection && detection.error) {
+							return reject(detection.error);
+						}
+						if(detection && detection.nrRows >= maxRows) {
+							return finish(false);
+						}
+						if(detection && lastDetection && detection.nrRows >= minRows && detection.key == lastDetection.key) {
+							return finish(false);
+						}
+						lastDetection = detection;
+					}
+					step();
+				}, reject);
+			}
+			step();
+		});
+	};
+
+	// Sniff a file, reading only a sample of it. See documentation for exact options.
+
+	CSVSniffer.prototype.sniffFile = function(path, options) {
+		var sniffer = this;
+		options = options || {};
+		var strategy = options.strategy || "head";
+		var sampleBytes = options.sampleBytes || 1024 * 1024;
+		var nrBlocks = Math.max(options.blocks || 8, 2);
+		if(strategy != "head" && strategy != "spread") {
+			return Promise.reject(new Error("Unknown sampling strategy: " + strategy));
+		}
+
+		function sniffBlocks(fd, size) {
+			if(strategy == "head" || size <= sampleBytes) {
+				return readBlock(fd, 0, Math.min(size, sampleBytes)).then(function(bytes) {
+					var sampleOptions = {};
+					for(var key in options) {
+						sampleOptions[key] = options[key];
+					}
+					sampleOptions.complete = size <= sampleBytes;
+					var result = sniffer.sniff(bytes, sampleOptions);
+					result.ranges = [{ start: 0, end: bytes.length }];
+					return result;
+				});
+			}
+
+			// The blocks are spread evenly, from the head to the tail of the file. The head block
+			// determines the dialect, which is needed to find the records in the other blocks.
+			var blockSize = Math.floor(sampleBytes / nrBlocks);
+			var starts = [];
+			for(var i = 0; i < nrBlocks; ++i) {
+				starts.push(Math.round(i * (size - blockSize) / (nrBlocks - 1)));
+			}
+			return Promise.all(starts.map(function(start) {
+				return readBlock(fd, start, blockSize);
+			})).then(function(blocks) {
+				var head = sniffer.sniff(blocks[0], options);
+				var encoding = head.encoding;
+				var decoded = decodeSample(blocks[0], encoding);
+				var parser = createParser(head);
+				parser.write(decoded.text, false);
+				var headLength = (decoded.hasBOM ? getByteLength("\ufeff", encoding) : 0) +
+					getByteLength(decoded.text.substring(0, parser.getCompleteLength()), encoding);
+				var ranges = [{ start: 0, end: headLength }];
+				var pieces = [blocks[0].slice(0, headLength)];
+
+				var dialect = {};
+				for(var key in head) {
+					dialect[key] = head[key];
+				}
+				dialect.skipRows = 0;
+				blocks.slice(1).forEach(function(bytes, i) {
+					// Skip the bytes of a character that was cut off, so every char starts at a known byte
+					var skip = 0;
+					if(encoding == "utf-16le" || encoding == "utf-16be") {
+						skip = starts[i + 1] % 2;
+					} else if(encoding == "utf-8") {
+						while(skip < 3 && skip < bytes.length && (bytes[skip] & 0xc0) == 0x80) {
+							++skip;
+						}
+					}
+					var text = createDecoder(encoding).write(bytes.slice(skip));
+					var block = alignBlock(text, dialect, head.types.length);
+					if(block && block.end > block.start) {
+						var start = skip + getByteLength(text.substring(0, block.start), encoding);
+						var end = start + getByteLength(text.substring(block.start, block.end), encoding);
+						ranges.push({ start: starts[i + 1] + start, end: starts[i + 1] + end });
+						pieces.push(bytes.slice(start, end));
+					}
+				});
+
+				// The blocks do not overlap, since they are further apart than their size
+				var sample = Buffer.concat(pieces);
+				var sampleOptions = {};
+				for(var key in options) {
+					sampleOptions[key] = options[key];
+				}
+				sampleOptions.encoding = encoding;
+				var result = sniffer.sniff(sample, sampleOptions);
+				result.encoding = encoding;
+
+				// Issues get offsets in the file, but lines are only known in the head block
+				result.issues.forEach(function(issue) {
+					var offset = 0;
+					ranges.some(function(range, i) {
+						var length = range.end - range.start;
+						if(issue.offset < offset + length || i == ranges.length - 1) {
+							issue.offset = range.start + issue.offset - offset;
+							issue.line = i == 0 ? issue.line : null;
+							return true;
+						}
+						offset += length;
+						return false;
+					});
+				});
+				result.ranges = ranges;
+				return result;
+			});
+		}
+
+		return new Promise(function(resolve, reject) {
+			fs.open(path, "r", function(err, fd) {
+				if(err) {
+					return reject(err);
+				}
+				function close(callback) {
+					fs.close(fd, function() {
+						callback();
+					});
+				}
+				new Promise(function(resolve, reject) {
+					fs.fstat(fd, function(err, stats) {
+						return err ? reject(err) : resolve(stats.size);
+					});
+				}).then(function(size) {
+					return sniffBlocks(fd, size).then(function(result) {
+						result.fileSize = size;
+						return result;
+					});
+				}).then(function(result) {
+					close(function() { resolve(result); });
+				}, function(err) {
+					close(function() { reject(err); });
+				});
+			});
+		});
+	};
+
 	return CSVSniffer;
 };
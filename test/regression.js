@@ -0,0 +1,644 @@
+// Regression tests for the sniffer. Every test is a function that throws (or returns a promise that
+// rejects) when it fails. Run them with: npm test
+
+var assert = require("assert");
+var childProcess = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var stream = require("stream");
+var zlib = require("zlib");
+var CSVSniffer = require("../index.js")();
+
+var tests = [];
+function test(name, fn) {
+	tests.push({ name: name, fn: fn });
+}
+
+function sniff(sample, options) {
+	return new CSVSniffer().sniff(sample, options);
+}
+
+function read(readable, chunks) {
+	// Writes the chunks to the readable (e.g. a reader), and returns a promise for everything it emits
+	return new Promise(function(resolve, reject) {
+		var output = [];
+		readable.on("data", function(d) { output.push(d); });
+		readable.on("end", function() { resolve(output); });
+		readable.on("error", reject);
+		chunks.forEach(function(chunk) { readable.write(chunk); });
+		readable.end();
+	});
+}
+
+function readAll(readable) {
+	// Returns a promise for all data of a readable, as a string
+	return new Promise(function(resolve, reject) {
+		var chunks = [];
+		readable.on("data", function(d) { chunks.push(Buffer.from(d)); });
+		readable.on("end", function() { resolve(Buffer.concat(chunks).toString()); });
+		readable.on("error", reject);
+	});
+}
+
+test("ranks the quote char candidates when no delimiter was found", function() {
+	var result = sniff('"abc"\n"def"\n"x"\n');
+	var scores = result.candidates.quoteChar.map(function(d) { return d.score; });
+	assert.deepEqual(scores, scores.slice().sort(function(a, b) { return b - a; }));
+	assert.strictEqual(result.candidates.quoteChar[0].value, result.quoteChar);
+});
+
+test("does not take single letters for booleans", function() {
+	assert.deepEqual(sniff("x\ny\n").types, ["string"]);
+	assert.deepEqual(sniff("code,n\n1,y\n2,n\n3,x\n").types, ["integer", "string"]);
+	assert.deepEqual(sniff("a,b\n1,yes\n2,no\n3,YES\n").types, ["integer", "boolean"]);
+});
+
+test("finds no delimiter in a single column", function() {
+	var result = sniff("name\nAmsterdam\nParis\n");
+	assert.strictEqual(result.delimiter, null);
+	assert.strictEqual(result.format, "text");
+	assert.deepEqual(result.types, ["string"]);
+	assert.deepEqual(result.records, [["name"], ["Amsterdam"], ["Paris"]]);
+});
+
+test("prefers the delimiter that splits the sample into numbers", function() {
+	var result = sniff("a;b\n1,5;2,5\n3,25;4,75\n7,1;8,2\n");
+	assert.strictEqual(result.delimiter, ";");
+	assert.deepEqual(result.types, ["float", "float"]);
+});
+
+test("orders the clauses of the MonetDB load statement", function() {
+	var result = sniff("a;b\n1.234,5;NULL\n2,5;3\n4,5;NULL\n");
+	var load = new CSVSniffer().toSQL(result).load;
+	var positions = ["USING DELIMITERS", "DECIMAL AS", "NO ESCAPE", "NULL AS"].map(function(d) { return load.indexOf(d); });
+	assert.ok(positions[0] > -1);
+	assert.deepEqual(positions, positions.slice().sort(function(a, b) { return a - b; }));
+});
+
+test("loads a single column without the newline as field separator", function() {
+	var sniffer = new CSVSniffer();
+	var result = sniffer.sniff("name\nAmsterdam\nParis\n");
+	assert.ok(sniffer.toSQL(result).load.indexOf("USING DELIMITERS E'\\t', E'\\n'") > -1);
+	assert.ok(sniffer.toSQL(result, { dialect: "postgresql" }).load.indexOf("DELIMITER E'\\t'") > -1);
+});
+
+test("only skips initial space after a delimiter", function() {
+	var result = sniff("  a, b\n  1, 2\n  3, 4\n", { skipInitialSpace: true });
+	assert.deepEqual(result.labels, ["  a", "b"]);
+	assert.deepEqual(result.records, [["  1", "2"], ["  3", "4"]]);
+});
+
+test("decodes samples in other encodings that Node supports", function() {
+	var result = sniff(Buffer.from("a,b\n1,2\n3,4\n", "ascii"), { encoding: "ascii" });
+	assert.strictEqual(result.encoding, "ascii");
+	assert.deepEqual(result.records, [["1", "2"], ["3", "4"]]);
+	assert.deepEqual(sniff(Buffer.from("a,b\n1,2\n3,4\n", "ucs2"), { encoding: "UCS2" }).labels, ["a", "b"]);
+	assert.throws(function() { sniff(Buffer.from("a,b\n"), { encoding: "ebcdic" }); }, /Unsupported encoding/);
+});
+
+test("detects the dialect of quoted CSV", function() {
+	var result = sniff('id,name,city\n1,"Smith, John",Amsterdam\n2,"Doe, Jane",Paris\n3,"Roe, Rick",Berlin\n');
+	assert.strictEqual(result.newlineStr, "\n");
+	assert.strictEqual(result.delimiter, ",");
+	assert.strictEqual(result.quoteChar, '"');
+	assert.strictEqual(result.hasHeader, true);
+	assert.deepEqual(result.labels, ["id", "name", "city"]);
+	assert.deepEqual(result.records[0], ["1", "Smith, John", "Amsterdam"]);
+	assert.deepEqual(result.types, ["integer", "string", "string"]);
+});
+
+test("keeps lines inside quoted fields when skipping comment lines", function() {
+	var result = sniff('# exported today\nid,note\n1,"first\n# not a comment"\n2,x\n3,y\n4,z\n5,w\n');
+	assert.strictEqual(result.skipRows, 1);
+	assert.strictEqual(result.commentChar, "#");
+	assert.deepEqual(result.labels, ["id", "note"]);
+	assert.deepEqual(result.records[0], ["1", "first\n# not a comment"]);
+});
+
+test("skips preamble lines before quoted CSV", function() {
+	var result = sniff('Report of 2020\n\nid,name\n1,"Smith, John"\n2,"Doe, Jane"\n3,"Roe, Rick"\n');
+	assert.strictEqual(result.skipRows, 2);
+	assert.deepEqual(result.labels, ["id", "name"]);
+	assert.strictEqual(result.records.length, 3);
+});
+
+test("detects the columns of a large fixed width sample", function() {
+	var lines = ["NAME   AGE"];
+	for(var i=0; i<150000; ++i) {
+		lines.push("x" + (i % 10) + "     " + (i % 90 + 10));
+	}
+	var result = sniff(lines.join("\n") + "\n");
+	assert.strictEqual(result.format, "fixed");
+	assert.deepEqual(result.fixedColumns, [{ start: 0, end: 7 }, { start: 7, end: 10 }]);
+	assert.strictEqual(result.records.length, 150000);
+});
+
+test("skips preamble lines before files with uncommon delimiters", function() {
+	["||", "\u00a6", ":"].forEach(function(delimiter) {
+		var result = sniff(["Generated by a tool", "a,b,c", "1,2,3", "4,5,6", "7,8,9", ""].join("\n").replace(/,/g, delimiter));
+		assert.strictEqual(result.skipRows, 1);
+		assert.strictEqual(result.delimiter, delimiter);
+		assert.deepEqual(result.labels, ["a", "b", "c"]);
+	});
+});
+
+test("profiles the columns with the lengths that were collected with the types", function() {
+	var result = sniff("id,name\n1,Ann\n2,Bobby\n3,\n");
+	assert.strictEqual(result.fixedColumns, null);
+	assert.strictEqual(result.columns.length, 2);
+	assert.strictEqual(result.columns[1].nullCount, 1);
+	assert.strictEqual(result.columns[1].minLength, 3);
+	assert.strictEqual(result.columns[1].maxLength, 5);
+	assert.strictEqual(result.columns[1].avgLength, 4);
+	assert.deepEqual(result.columns[1].examples, ["Ann", "Bobby"]);
+});
+
+test("takes the types from a schema instead of detecting them", function() {
+	var sniffer = new CSVSniffer();
+	var schema = sniffer.toTableSchema(sniff("id,code\n1,10\n2,20\n"));
+	delete schema.dialect.header;
+	schema.fields[1].type = "string";
+	var result = sniffer.sniff("ID,Code\n3,30\n4,40\n", { schema: schema });
+	assert.strictEqual(result.hasHeader, true);
+	assert.deepEqual(result.types, ["integer", "string"]);
+	assert.deepEqual(result.refinedTypes[1], { type: "varchar", length: 2 });
+	assert.strictEqual(sniffer.sniff("3,30\n4,40\n5,50\n", { schema: schema }).hasHeader, false);
+});
+
+test("adds the dialect to the JSON Schema as an extension", function() {
+	var schema = new CSVSniffer().toJSONSchema(sniff("a,b\n1,2\n3,4\n"));
+	assert.strictEqual(schema.dialect, undefined);
+	assert.strictEqual(schema["x-dialect"].delimiter, ",");
+});
+
+test("sniffs a large sample with apostrophes but no quoted fields in linear time", function() {
+	var lines = ["id,name,city"];
+	for(var i=0; i<10000; ++i) {
+		lines.push(i + ",O'Brien" + i + ",Dublin");
+	}
+	var start = Date.now();
+	var result = sniff(lines.join("\n") + "\n");
+	assert.ok(Date.now() - start < 3000, "took " + (Date.now() - start) + " ms");
+	assert.strictEqual(result.delimiter, ",");
+	assert.strictEqual(result.quoteChar, null);
+	assert.strictEqual(result.records.length, 10000);
+});
+
+test("finds quote chars when every quoted field spans lines", function() {
+	var result = sniff('a,b\r\n"line1\nline2",1\r\n"x\ny",2\r\n"p\nq",3\r\n');
+	assert.strictEqual(result.newlineStr, "\r\n");
+	assert.strictEqual(result.quoteChar, '"');
+	assert.deepEqual(result.records[0], ["line1\nline2", "1"]);
+});
+
+test("only uses the refined types for SQL when asked to", function() {
+	var sniffer = new CSVSniffer();
+	var result = sniffer.sniff("id,name,amount\n1,Ann,1.50\n2,Bob,20.25\n");
+	assert.ok(/"id" BIGINT,\n\t"name" CLOB,\n\t"amount" DOUBLE\n/.test(sniffer.toSQL(result).createTable));
+	assert.ok(/"id" TINYINT,\n\t"name" VARCHAR\(3\),\n\t"amount" DECIMAL\(4,2\)\n/.test(sniffer.toSQL(result, { precise: true }).createTable));
+});
+
+test("sizes integers beyond the precision of doubles exactly", function() {
+	function refined(value) {
+		return sniff("a\n" + value + "\n1\n").refinedTypes[0].type;
+	}
+	assert.strictEqual(refined("9223372036854775807"), "bigint");
+	assert.strictEqual(refined("9223372036854775808"), "hugeint");
+	assert.strictEqual(refined("-9223372036854775808"), "hugeint");
+	assert.strictEqual(refined("170141183460469231731687303715884105727"), "hugeint");
+	assert.strictEqual(refined("170141183460469231731687303715884105728"), "double");
+});
+
+test("only takes decimal literals as numbers", function() {
+	["0x1F", "0b101", "0o17", "Infinity", "-Infinity"].forEach(function(value) {
+		var result = sniff("a\n" + value + "\n1\n");
+		assert.deepEqual(result.types, ["string"], value);
+		assert.deepEqual(result.refinedTypes[0], { type: "varchar", length: value.length }, value);
+	});
+	assert.deepEqual(sniff("a\n1e3\n-1.5\n").types, ["float"]);
+});
+
+test("does not split single values and keeps the last line of short samples", function() {
+	["hello", "42", "x", "hello world", "x.y", "http://example.com/a"].forEach(function(sample) {
+		var result = sniff(sample);
+		assert.strictEqual(result.delimiter, null, sample);
+		assert.strictEqual(result.format, "text", sample);
+		assert.deepEqual([].concat.apply(result.labels || [], result.records), [sample]);
+	});
+	var result = sniff("a,b\n1,2");
+	assert.deepEqual(result.labels, ["a", "b"]);
+	assert.deepEqual(result.records, [["1", "2"]]);
+	assert.deepEqual(sniff("1,2,3").records, [["1", "2", "3"]]);
+});
+
+test("reports csv or tsv, and only rejects samples that are confirmed to be in another format", function() {
+	assert.strictEqual(sniff("a,b\n1,2\n3,4\n").format, "csv");
+	assert.strictEqual(sniff("a\tb\n1\t2\n3\t4\n").format, "tsv");
+	assert.deepEqual(sniff("{id},name\n1,x\n2,y\n").labels, ["{id}", "name"]);
+	assert.deepEqual(sniff("<b>bold</b>,x\n1,2\n3,4\n").labels, ["<b>bold</b>", "x"]);
+	[
+		['{"a": 1,\n"b": 2}\n', "json"],
+		['{"a": 1}\n{"a": 2}\n{"a": 3}\n', "jsonl"],
+		['<?xml version="1.0"?>\n<rows>\n', "xml"],
+		["<rows>\n<row>1,2</row>\n</rows>\n", "xml"],
+		["<!DOCTYPE html>\n<html>\n", "html"]
+	].forEach(function(d) {
+		assert.throws(function() { sniff(d[0]); }, function(err) { return err.format == d[1] && !!err.reason; });
+	});
+});
+
+test("traces the line counts and the delimiter modes of quoted CSV", function() {
+	var trace = sniff('id,name\n1,"Smith, John"\n2,x\n3,y', { explain: true }).trace;
+	assert.strictEqual(trace.newlineStr.candidates[0].nrLines, 4);
+	assert.strictEqual(trace.delimiter.nrLines, 3);
+	assert.deepEqual(trace.delimiter.modes[0], { value: ",", mostCommonCount: 1, linesWithMostCommonCount: 3, otherLines: 0, linesPerCount: { 1: 3 } });
+	assert.strictEqual(trace.delimiter.consistency, 1);
+	assert.strictEqual(sniff("a;b\n1;2\n", { explain: true, delimiter: ";" }).trace.delimiter.modes[0].value, ";");
+});
+
+test("does not count the delimiters inside quoted fields when the quote char is given", function() {
+	var result = sniff('a,b\n1,"x, y"\n2,"p, q, r"\n3,z\n', { quoteChar: '"' });
+	assert.strictEqual(result.delimiter, ",");
+	assert.deepEqual(result.records, [["1", "x, y"], ["2", "p, q, r"], ["3", "z"]]);
+});
+
+test("never takes a letter before a quote char for the delimiter", function() {
+	var result = sniff('id,comment\n1,He said "hi"\n2,She said "bye"\n3,ok\n');
+	assert.strictEqual(result.delimiter, ",");
+	assert.deepEqual(result.records, [["1", 'He said "hi"'], ["2", 'She said "bye"'], ["3", "ok"]]);
+	result = sniff('a,b\r\n"x\r\ny","q""z"\r\n1,2\r\n');
+	assert.strictEqual(result.delimiter, ",");
+	assert.strictEqual(result.quoteChar, '"');
+	assert.deepEqual(result.records.slice(-2), [["x\r\ny", 'q"z'], ["1", "2"]]);
+});
+
+test("does not split a single column on the punctuation in its values", function() {
+	[
+		["date", "2020/01/02", "2020/03/04", "2021/05/06"],
+		["time", "12:00:01", "13:30:00", "14:00:00"],
+		["price", "1.50", "2.25", "3.75"],
+		["ip", "10.0.0.1", "192.168.1.1", "127.0.0.1"],
+		["url", "http://a.com", "http://b.org", "https://c.net"],
+		["name", "Smith, John", "Doe, Jane", "Roe, Rick"],
+		["timestamp", "2020-01-02 10:00", "2021-03-04 11:00", "2022-05-06 12:00"]
+	].forEach(function(lines) {
+		var result = sniff(lines.join("\n") + "\n");
+		assert.strictEqual(result.delimiter, null, lines[0]);
+		assert.strictEqual(result.skipRows, 0, lines[0]);
+		assert.deepEqual(result.labels, [lines[0]]);
+		assert.deepEqual(result.records, lines.slice(1).map(function(d) { return [d]; }));
+	});
+});
+
+test("reports every kind of malformed record once, with its line and byte offset", function() {
+	var result = sniff('a,b\n\u00e9,x"y\n2,z"\n3,w\n\n4,5,6\n5,"u"v"\n', { delimiter: ",", quoteChar: '"' });
+	assert.deepEqual(result.records[1], ["\u00e9", "xy\n2,z"]);
+	assert.deepEqual(result.issues, [
+		{ kind: "swallowedLines", line: 2, offset: 4, expected: 1, actual: 2 },
+		{ kind: "strayQuote", line: 2, offset: 8, expected: null, actual: '"' },
+		{ kind: "emptyLine", line: 5, offset: 20, expected: 2, actual: 0 },
+		{ kind: "columnCount", line: 6, offset: 21, expected: 2, actual: 3 },
+		{ kind: "unterminatedQuote", line: 7, offset: 27, expected: '"', actual: null },
+		{ kind: "strayQuote", line: 7, offset: 33, expected: null, actual: '"' }
+	]);
+	// a stray quote char pairs the later quote chars wrongly, which are not reported as well
+	var issues = sniff('id,name,note\n1,Ann,ok\n2,Bo"b,x\n3,Cy,"y"\n4,Di,"z"\n5,Ed,"w"\n', { delimiter: ",", quoteChar: '"' }).issues;
+	assert.deepEqual(issues.map(function(d) { return d.kind + "@" + d.offset; }), ["swallowedLines@22", "unterminatedQuote@22", "strayQuote@26"]);
+});
+
+test("carries the state of the reader across chunks", function() {
+	var cases = [
+		[{ newlineStr: "\n", delimiter: ",", quoteChar: '"' }, 'a,b\n"x, y","q""z"\n1,2\n', [["a", "b"], ["x, y", 'q"z'], ["1", "2"]]],
+		[{ newlineStr: "\n", delimiter: ",", quoteChar: '"', doubleQuote: false, escapeChar: "\\" }, 'a,b\n"q\\"z",1\n2,3\n', [["a", "b"], ['q"z', "1"], ["2", "3"]]],
+		[{ newlineStr: "\r\n", delimiter: ",", quoteChar: '"' }, 'a,b\r\n"x\r\ny",1\r\n2,3\r\n', [["a", "b"], ["x\r\ny", "1"], ["2", "3"]]],
+		[{ newlineStr: "\n", delimiter: "||", quoteChar: null }, "a||b|c\n1||2\n", [["a", "b|c"], ["1", "2"]]]
+	];
+	return cases.reduce(function(done, d) {
+		var splits = [d[1].split("")];
+		for(var i=1; i<d[1].length; ++i) {
+			splits.push([d[1].substring(0, i), d[1].substring(i)]);
+		}
+		return splits.reduce(function(done, chunks) {
+			return done.then(function() {
+				return read(new CSVSniffer().createReader(d[0]), chunks);
+			}).then(function(records) {
+				assert.deepEqual(records, d[2], JSON.stringify(chunks));
+			});
+		}, done);
+	}, Promise.resolve());
+});
+
+test("stops sniffing a stream at the byte budget, and replays the consumed data", function() {
+	var lines = ["id,name"];
+	for(var i=0; i<1000; ++i) {
+		lines.push(i + ",name" + i);
+	}
+	var text = lines.join("\n") + "\n";
+	var chunks = text.match(/[\s\S]{1,100}/g);
+	return new CSVSniffer().sniffStream(chunks, { maxBytes: 1000, minRows: 1000 }).then(function(result) {
+		assert.strictEqual(result.endOfStream, false);
+		assert.strictEqual(result.bytesRead, 1000);
+		assert.strictEqual(result.consumed, text.substring(0, 1000));
+		assert.deepEqual(result.labels, ["id", "name"]);
+		assert.deepEqual(result.types, ["integer", "string"]);
+		return readAll(result.stream);
+	}).then(function(replayed) {
+		assert.strictEqual(replayed, text);
+	});
+});
+
+test("sniffs a whole stream that ends before the budget", function() {
+	var readable = new stream.PassThrough();
+	readable.end("a;b\n1;2\n3;4\n");
+	return new CSVSniffer().sniffStream(readable).then(function(result) {
+		assert.strictEqual(result.endOfStream, true);
+		assert.strictEqual(result.delimiter, ";");
+		assert.deepEqual(result.records, [["1", "2"], ["3", "4"]]);
+	});
+});
+
+test("rejects gzip data, and sniffs it once it is decompressed", function() {
+	var gzipped = zlib.gzipSync("a,b\n1,2\n3,4\n");
+	var sniffer = new CSVSniffer();
+	return sniffer.sniffStream([gzipped]).then(function() {
+		assert.fail("gzip data was sniffed");
+	}, function(err) {
+		assert.strictEqual(err.format, "binary");
+	}).then(function() {
+		var readable = new stream.PassThrough();
+		readable.end(gzipped);
+		return sniffer.sniffStream(readable.pipe(zlib.createGunzip()));
+	}).then(function(result) {
+		assert.strictEqual(result.delimiter, ",");
+		assert.deepEqual(result.records, [["1", "2"], ["3", "4"]]);
+	});
+});
+
+test("rejects the promise of sniffStream when the stream fails", function() {
+	var readable = new stream.Readable({ read: function() {
+		this.emit("error", new Error("disk on fire"));
+	} });
+	var sniffer = new CSVSniffer();
+	return sniffer.sniffStream(readable).then(function() {
+		assert.fail("the stream did not fail");
+	}, function(err) {
+		assert.strictEqual(err.message, "disk on fire");
+		return sniffer.sniffStream(42);
+	}).then(function() {
+		assert.fail("a number was sniffed");
+	}, function(err) {
+		assert.ok(err instanceof Error);
+	});
+});
+
+test("generates the SQL to load a file into PostgreSQL and SQLite", function() {
+	var sniffer = new CSVSniffer();
+	var result = sniffer.sniff('id,name,amount\n1,"Smith, John",NULL\n2,Ann,2.5\n3,Bob,NULL\n4,Cy,7\n');
+	var postgresql = sniffer.toSQL(result, { dialect: "postgresql", path: "/tmp/it's.csv" });
+	assert.strictEqual(postgresql.createTable, 'CREATE TABLE "it_s" (\n\t"id" BIGINT,\n\t"name" TEXT,\n\t"amount" DOUBLE PRECISION\n);');
+	assert.strictEqual(postgresql.load, "COPY \"it_s\" FROM '/tmp/it''s.csv' WITH (FORMAT csv, DELIMITER ',', QUOTE '\"', HEADER true, NULL 'NULL');");
+	assert.strictEqual(sniffer.toSQL(result, { dialect: "postgresql", tableName: "t" }).load.indexOf('COPY "t" FROM STDIN WITH ('), 0);
+
+	var sqlite = sniffer.toSQL(result, { dialect: "sqlite", path: 'C:\\data\\"it\'s".csv' });
+	assert.strictEqual(sqlite.createTable, 'CREATE TABLE "_it_s_" (\n\t"id" INTEGER,\n\t"name" TEXT,\n\t"amount" REAL\n);');
+	assert.strictEqual(sqlite.load, '.mode csv\n.separator "," "\\n"\n.import --skip 1 "C:\\\\data\\\\\\"it\'s\\".csv" "_it_s_"');
+	assert.deepEqual(sqlite.warnings, ["SQLite loads null tokens as values"]);
+	assert.throws(function() { sniffer.toSQL(result, { dialect: "sqlite" }); }, /needs a path/);
+});
+
+test("only considers the Unicode and multi-char delimiters passed to the constructor", function() {
+	[["\u00a7", "::"], ["::"], ["\ud83d\udca9"], ["x"]].forEach(function(delimiters) {
+		var delimiter = delimiters[delimiters.length - 1];
+		var result = new CSVSniffer(delimiters).sniff(["a", "b", "c\n1", "2", "3\n4", "5", "6\n"].join(delimiter));
+		assert.strictEqual(result.delimiter, delimiter);
+		assert.deepEqual(result.labels, ["a", "b", "c"]);
+		assert.deepEqual(result.records, [["1", "2", "3"], ["4", "5", "6"]]);
+	});
+	var result = new CSVSniffer([";"]).sniff("a,b;c\n1,2;3\n4,5;6\n");
+	assert.strictEqual(result.delimiter, ";");
+	assert.deepEqual(result.records, [["1,2", "3"], ["4,5", "6"]]);
+});
+
+test("detects UTF-16, byte order marks and windows-1252 in samples of bytes", function() {
+	var text = "id,naam\n1,caf\u00e9\n2,\u20acuro\n";
+	var records = [["1", "caf\u00e9"], ["2", "\u20acuro"]];
+	[
+		["utf-16le", true, Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, "utf16le")])],
+		["utf-16be", true, Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from(text, "utf16le").swap16()])],
+		["utf-16le", false, Buffer.from(text, "utf16le")],
+		["utf-8", true, Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text)])],
+		["utf-8", false, new Uint8Array(Buffer.from(text))],
+		["windows-1252", false, Buffer.from("id,naam\n1,caf\xe9\n2,\x80uro\n", "latin1")]
+	].forEach(function(d) {
+		var result = sniff(d[2]);
+		assert.strictEqual(result.encoding, d[0]);
+		assert.strictEqual(result.hasBOM, d[1]);
+		assert.deepEqual(result.labels, ["id", "naam"]);
+		assert.deepEqual(result.records, records);
+	});
+	// the offsets of issues are in bytes, including the byte order mark
+	var issues = sniff(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from("a,b\n1,2\n3\n" + new Array(11).join("4,5\n"), "utf16le")])).issues;
+	assert.deepEqual(issues, [{ kind: "columnCount", line: 3, offset: 18, expected: 2, actual: 1 }]);
+	assert.strictEqual(sniff("a,b\n1,2\n").encoding, null);
+});
+
+test("samples blocks spread over a file, at record boundaries, with issue offsets in the file", function() {
+	var lines = ["id,value"];
+	for(var i=0; i<2000; ++i) {
+		lines.push(("00000" + i).slice(-6) + "," + (i == 1995 ? "2.5" : i == 1990 ? "1,extra" : "1"));
+	}
+	var text = lines.join("\n") + "\n";
+	var file = path.join(os.tmpdir(), "csv-sniffer-test-" + process.pid + ".csv");
+	fs.writeFileSync(file, text);
+	var sniffer = new CSVSniffer();
+	return sniffer.sniffFile(file, { strategy: "spread", sampleBytes: 1000, blocks: 4 }).then(function(result) {
+		assert.strictEqual(result.fileSize, text.length);
+		assert.strictEqual(result.ranges.length, 4);
+		assert.strictEqual(result.ranges[0].start, 0);
+		assert.strictEqual(result.ranges[3].end, text.length);
+		result.ranges.forEach(function(range, i) {
+			assert.ok(i == 0 || range.start > result.ranges[i - 1].end);
+			assert.ok(range.start == 0 || text.charAt(range.start - 1) == "\n");
+			assert.strictEqual(text.charAt(range.end - 1), "\n");
+		});
+		// the float and the extra value near the tail are only seen in the last block
+		assert.deepEqual(result.types, ["string", "float"]);
+		assert.deepEqual(result.issues, [{ kind: "columnCount", line: null, offset: text.indexOf("001990,"), expected: 2, actual: 3 }]);
+		return sniffer.sniffFile(file, { sampleBytes: 1000 });
+	}).then(function(result) {
+		assert.deepEqual(result.ranges, [{ start: 0, end: 1000 }]);
+		assert.deepEqual(result.types, ["string", "integer"]);
+		return sniffer.sniffFile(file, { strategy: "middle" });
+	}).then(function() {
+		assert.fail("an unknown strategy was accepted");
+	}, function(err) {
+		assert.ok(/Unknown sampling strategy/.test(err.message));
+	}).then(function() {
+		fs.unlinkSync(file);
+	}, function(err) {
+		fs.unlinkSync(file);
+		throw err;
+	});
+});
+
+test("writes records that read back the same in every dialect", function() {
+	var sniffer = new CSVSniffer();
+	var records = [["id", "note"], ["1", 'a, "b"\nc'], ["2", " it's"], ["3", ""], ["#4", "x;y\ty|z"]];
+	var dialects = [
+		{},
+		{ newlineStr: "\r\n", delimiter: ";", quoteChar: "'", doubleQuote: false, escapeChar: "\\" },
+		{ newlineStr: "\n", delimiter: "\t", quoteChar: null, escapeChar: "\\" },
+		{ newlineStr: "\n", delimiter: "||", quoteChar: '"', skipInitialSpace: true, commentChar: "#" }
+	];
+	return dialects.reduce(function(done, dialect) {
+		var text = sniffer.stringify(records, dialect);
+		return done.then(function() {
+			var reader = { newlineStr: "\n", delimiter: ",", quoteChar: '"' };
+			for(var key in dialect) {
+				reader[key] = dialect[key];
+			}
+			return read(sniffer.createReader(reader), [text]);
+		}).then(function(output) {
+			assert.deepEqual(output, records, JSON.stringify(text));
+			return read(sniffer.createWriter(dialect), records);
+		}).then(function(output) {
+			assert.strictEqual(output.join(""), text);
+		});
+	}, Promise.resolve()).then(function() {
+		assert.strictEqual(sniffer.stringify([{ b: null, a: 1 }], { labels: ["a", "b"], hasHeader: true }), "a,b\n1,\n");
+		assert.strictEqual(sniffer.convert('a;b\n1,5;"x;y"\n2;z\n', {}, { delimiter: "\t" }), "a\tb\n1,5\tx;y\n2\tz\n");
+		assert.throws(function() { sniffer.stringify([["a,b"]], { quoteChar: null }); }, /without a quote char or an escape char/);
+	});
+});
+
+test("widens registered types in both orders", function() {
+	var sniffer = new CSVSniffer()
+		.registerType("postcode", { test: function(value) { return /^\d{4}$/.test(value); }, widensTo: ["integer"], priority: 1 })
+		.registerType("code", { test: function(value) { return /^[A-Z]{2,3}$/.test(value); }, priority: -1 })
+		.registerType("country", { test: function(value) { return /^[A-Z]{2}$/.test(value); }, widensTo: ["code"] });
+	[
+		["1234", null, "postcode"],
+		["12345", "postcode", "integer"],
+		["1234", "integer", "integer"],
+		["1.5", "postcode", "float"],
+		["x", "postcode", "string"],
+		["NL", null, "country"],
+		["NLD", "country", "code"],
+		["NL", "code", "code"],
+		["1234", "country", "string"],
+		["NL", "postcode", "string"]
+	].forEach(function(d) {
+		assert.strictEqual(sniffer.getAccumulatedType(d[0], d[1]), d[2], JSON.stringify(d));
+	});
+	assert.deepEqual(sniffer.sniff("pc,land\n1234,NL\n5678,BE\n").types, ["postcode", "country"]);
+	assert.deepEqual(sniffer.sniff("pc,land\n12345,NL\n5678,BEL\n").types, ["integer", "code"]);
+	assert.deepEqual(sniffer.sniff("pc,land\n5678,BEL\n12345,NL\n").types, ["integer", "code"]);
+	assert.deepEqual(new CSVSniffer().sniff("pc\n1234\n5678\n").types, ["integer"]);
+	assert.throws(function() { sniffer.registerType("integer", { test: function() { return true; } }); }, /already exists/);
+	assert.throws(function() { sniffer.registerType("iban", {}); }, /needs a test function/);
+});
+
+test("reports every kind of drift between the schemas of several files", function() {
+	var merged = new CSVSniffer().merge([
+		"id,name,amount\n1,a,5\n2,b,6\n",
+		"id,full_name,amount\n1,a,5.5\n2,b,6\n",
+		"name,id,amount,extra\nx,1,5,q\ny,2,6,r\n",
+		"id;amount\n1;5\n2;6\n"
+	]);
+	assert.deepEqual(merged.labels, ["id", "name", "amount", "extra"]);
+	assert.deepEqual(merged.types, ["integer", "string", "float", "string"]);
+	assert.strictEqual(merged.delimiter, ",");
+	assert.deepEqual(merged.drift, [
+		{ kind: "renamed", input: 1, column: "name", from: "name", to: "full_name" },
+		{ kind: "typeChanged", input: 1, column: "amount", from: "integer", to: "float", fromFormat: null, toFormat: null },
+		{ kind: "reordered", input: 2, column: "name", from: 1, to: 0 },
+		{ kind: "reordered", input: 2, column: "id", from: 0, to: 1 },
+		{ kind: "typeChanged", input: 2, column: "amount", from: "float", to: "integer", fromFormat: null, toFormat: null },
+		{ kind: "added", input: 2, column: "extra", to: 3 },
+		{ kind: "dialectChanged", input: 3, property: "delimiter", from: ",", to: ";" },
+		{ kind: "removed", input: 3, column: "name", from: 1 },
+		{ kind: "removed", input: 3, column: "extra", from: 3 },
+		{ kind: "typeChanged", input: 3, column: "amount", from: "float", to: "integer", fromFormat: null, toFormat: null }
+	]);
+});
+
+test("detects the null tokens of every column, and leaves them out of the types", function() {
+	var result = sniff("a,b,c,d\n1,NA,x,\n2,3,\\N,n/a\n3,NA,y,4\n4,5,\\N,N/A\n");
+	assert.deepEqual(result.types, ["integer", "integer", "string", "integer"]);
+	assert.deepEqual(result.nullTokens, [[], ["NA"], ["\\N"], ["", "n/a", "N/A"]]);
+	assert.deepEqual(result.nullable, [false, true, true, true]);
+	// NA is only a null in a column whose other values are not strings
+	result = sniff("a,b\n1,NA\n2,x\n3,y\n");
+	assert.deepEqual(result.types, ["integer", "string"]);
+	assert.deepEqual(result.nullTokens, [[], []]);
+	// a numeric column with nulls in its first line still tells that there is no header
+	result = sniff("1,NA\n2,3\n3,NA\n4,5\n");
+	assert.strictEqual(result.hasHeader, false);
+	assert.deepEqual(result.types, ["integer", "integer"]);
+	// null tokens that are given replace the detected ones
+	result = sniff("a,b\n1,x\n2,3\n3,NA\n", { nullTokens: ["x"] });
+	assert.deepEqual(result.types, ["integer", "string"]);
+	assert.deepEqual(result.nullTokens, [[], ["x"]]);
+});
+
+test("does not split a single column of words at the spaces that line up", function() {
+	var result = sniff("name\nJohn Smith\nJane Doe\nMary Ann\nPete Li\n");
+	assert.strictEqual(result.format, "text");
+	assert.deepEqual(result.labels, ["name"]);
+	assert.deepEqual(result.records, [["John Smith"], ["Jane Doe"], ["Mary Ann"], ["Pete Li"]]);
+	// a single space does separate columns where a label of the header starts
+	result = sniff("NAME AGE\nJohn  31\nJane  42\nBob   50\n");
+	assert.strictEqual(result.format, "fixed");
+	assert.deepEqual(result.labels, ["NAME", "AGE"]);
+	assert.deepEqual(result.records, [["John", "31"], ["Jane", "42"], ["Bob", "50"]]);
+	assert.deepEqual(sniff("NAME   AGE CITY\nJohn    31 Paris\nJane    42 Rome\n").fixedColumns, [{ start: 0, end: 7 }, { start: 7, end: 11 }, { start: 11, end: 16 }]);
+});
+
+test("exits the command line tool with 0, 1 or 2", function() {
+	function run(args, input) {
+		return childProcess.spawnSync(process.execPath, [path.join(__dirname, "..", "bin", "csv-sniffer.js")].concat(args), { input: input || "", encoding: "utf8" });
+	}
+	var file = path.join(os.tmpdir(), "csv-sniffer-cli-" + process.pid + ".csv");
+	fs.writeFileSync(file, "a,b\n1,2\n3,4\n");
+	try {
+		var ok = run([file]);
+		assert.strictEqual(ok.status, 0, ok.stderr);
+		assert.ok(/Delimiter:\s+,/.test(ok.stdout));
+		var json = run(["--json", "--delimiter", ";"], "a;b\n1;2\n");
+		assert.strictEqual(json.status, 0, json.stderr);
+		assert.deepEqual(JSON.parse(json.stdout).records, [["1", "2"]]);
+		assert.strictEqual(run(["-"], "a,b\n1,2\n3\n" + new Array(11).join("4,5\n")).status, 1);
+		assert.strictEqual(run(["--help"]).status, 0);
+		[
+			[[file + ".missing"], /ENOENT/],
+			[["--colour", file], /Unknown option: --colour/],
+			[[file, "--delimiter"], /Missing value for --delimiter/],
+			[["--max-bytes", "lots", file], /Invalid value for --max-bytes: lots/],
+			[[file, file], /Only one file/],
+			[["-"], /not delimited text/, '{"a": 1}\n{"a": 2}\n']
+		].forEach(function(d) {
+			var result = run(d[0], d[2]);
+			assert.strictEqual(result.status, 2, d[0].join(" "));
+			assert.ok(d[1].test(result.stderr), result.stderr);
+		});
+	} finally {
+		fs.unlinkSync(file);
+	}
+});
+
+var failed = 0;
+tests.reduce(function(done, d) {
+	return done.then(function() {
+		return d.fn();
+	}).then(function() {
+		console.log("ok - " + d.name);
+	}, function(err) {
+		++failed;
+		console.log("not ok - " + d.name);
+		console.log(err.stack);
+	});
+}, Promise.resolve()).then(function() {
+	console.log(tests.length - failed + " of " + tests.length + " tests passed");
+	process.exitCode = failed > 0 ? 1 : 0;
+});